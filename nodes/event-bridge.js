@@ -0,0 +1,161 @@
+/**
+ * event-bridge - Mirrors topics from one event-cache into another
+ *
+ * Features:
+ * - Exact topics and wildcard patterns ('+', '#'; 'prefix/#' for a prefix)
+ * - Topic rewriting: strip and/or add a prefix
+ * - Batches are forwarded as one setValues() batch
+ * - Optional mirroring of expiry/eviction/deletion
+ * - Loop prevention via metadata.bridgeHops (caches an entry has passed through)
+ */
+module.exports = function(RED) {
+    function EventBridgeNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        node.source = RED.nodes.getNode(config.source);
+        node.target = RED.nodes.getNode(config.target);
+        node.topics = String(config.topics || '')
+            .split(/[\n,]/)
+            .map(topic => topic.trim())
+            .filter(topic => topic);
+        node.stripPrefix = config.stripPrefix || '';
+        node.addPrefix = config.addPrefix || '';
+        node.mirrorRemovals = config.mirrorRemovals || false;
+        node.syncOnStart = config.syncOnStart !== false;
+
+        let subscriptionId = null;
+        let mirrored = 0;
+        let statusTimer = null;
+
+        if (!node.source || !node.target) {
+            node.status({ fill: "red", shape: "ring", text: "source and target cache required" });
+            return;
+        }
+
+        if (node.topics.length === 0) {
+            node.status({ fill: "yellow", shape: "ring", text: "no topics" });
+            return;
+        }
+
+        if (node.source === node.target && !node.stripPrefix && !node.addPrefix) {
+            node.status({ fill: "red", shape: "ring", text: "same cache needs a rewrite" });
+            return;
+        }
+
+        /**
+         * Rewrite a source topic for the target cache
+         * @param {string} topic - Source topic
+         * @returns {string}
+         */
+        function rewrite(topic) {
+            if (node.stripPrefix && topic.startsWith(node.stripPrefix)) {
+                topic = topic.substring(node.stripPrefix.length);
+            }
+            return node.addPrefix + topic;
+        }
+
+        /**
+         * Check whether an entry has already passed through the target cache
+         * @param {object} entry - Source entry
+         * @returns {boolean}
+         */
+        function visitedTarget(entry) {
+            const hops = entry.metadata && entry.metadata.bridgeHops;
+            return Array.isArray(hops) && hops.includes(node.target.id);
+        }
+
+        /**
+         * Build the setValues() item for a source update, or null if it would loop
+         * @param {string} topic - Source topic
+         * @param {object} entry - Source entry
+         * @returns {object|null}
+         */
+        function forwardItem(topic, entry) {
+            if (visitedTarget(entry)) {
+                return null;
+            }
+            const metadata = entry.metadata || {};
+            return {
+                topic: rewrite(topic),
+                value: entry.value,
+                quality: entry.quality,
+                metadata: {
+                    ...metadata,
+                    bridgeHops: [...(metadata.bridgeHops || []), node.source.id]
+                }
+            };
+        }
+
+        /**
+         * Write forwarded items into the target cache
+         * @param {Array<object|null>} items - Items from forwardItem
+         */
+        function forward(items) {
+            items = items.filter(item => item);
+            if (items.length === 0) {
+                return;
+            }
+            if (items.length === 1) {
+                const item = items[0];
+                node.target.setValue(item.topic, item.value, item.metadata, item.quality);
+            } else {
+                node.target.setValues(items);
+            }
+            mirrored += items.length;
+        }
+
+        try {
+            subscriptionId = node.source.subscribe(node.topics, (topic, entry) => {
+                forward([forwardItem(topic, entry)]);
+            }, {
+                onBatch: (updates) => {
+                    forward(updates.map(update => forwardItem(update.topic, update.entry)));
+                },
+                onRemove: (topic, entry, reason) => {
+                    if (node.mirrorRemovals && !visitedTarget(entry)) {
+                        node.target.deleteValue(rewrite(topic));
+                    }
+                }
+            });
+        } catch (err) {
+            node.error(err.message);
+            node.status({ fill: "red", shape: "ring", text: "invalid topic" });
+            return;
+        }
+
+        // Copy the current values once, as one batch
+        if (node.syncOnStart) {
+            const items = [];
+            for (const topic of node.topics) {
+                for (const [sourceTopic, entry] of Object.entries(node.source.getValues(topic))) {
+                    items.push(forwardItem(sourceTopic, entry));
+                }
+            }
+            forward(items);
+        }
+
+        // Refresh the status at most once per second
+        let shown = -1;
+        function updateStatus() {
+            if (mirrored !== shown) {
+                shown = mirrored;
+                node.status({ fill: "green", shape: "dot", text: `${mirrored} mirrored` });
+            }
+        }
+        updateStatus();
+        statusTimer = setInterval(updateStatus, 1000);
+
+        node.on('close', function(done) {
+            if (statusTimer) {
+                clearInterval(statusTimer);
+            }
+            if (subscriptionId && node.source) {
+                node.source.unsubscribe(subscriptionId);
+            }
+            done();
+        });
+    }
+
+    RED.nodes.registerType("event-bridge", EventBridgeNode);
+};
@@ -2,19 +2,974 @@
  * event-cache - Config node providing central cache and event bus
  *
  * Features:
- * - Map<topic, {value, ts, metadata}> for caching latest values
- * - Stored in global context for visibility in sidebar
- * - EventEmitter for notifying subscribers on updates
- * - Exact topic matching for subscriptions
- * - LRU eviction when maxEntries exceeded
+ * - In-memory Map<topic, {value, ts, quality, metadata}> for caching latest values
+ * - Quality normalized to 'good' | 'uncertain' | 'bad'
+ * - Throttled mirror in global context for visibility in sidebar
+ * - EventEmitter for notifying subscribers on updates, expiry and eviction
+ * - Exact topic matching plus MQTT-style wildcards ('+' and '#') for subscriptions
+ * - Atomic multi-topic batches: each subscriber is notified once per batch
+ * - O(1) access-ordered LRU eviction when maxEntries exceeded
+ * - TTL expiry driven by a write-ordered expiry index
+ * - Optional per-topic history (last N samples and/or last T milliseconds)
+ * - Optional snapshot to a local file, restored on startup
+ * - Report-by-exception: deadband, only-on-change and max-silence filters, per-pattern overrides
+ * - Per-topic update counts/rates, streamed to the editor's cache browser sidebar
+ * - Counters and callback latency exported in Prometheus text format
+ * - Export/import of all entries as JSON or CSV
+ * - Topic registry: description, unit, range and data type per topic or pattern
+ * - Replication between Node-RED instances over TCP (newline-delimited JSON, last writer wins)
+ * - Dependency graph of event-calc nodes: cycle detection, evaluation in dependency order
  * - Reference counting for cleanup
  */
 module.exports = function(RED) {
     const EventEmitter = require('events');
+    const crypto = require('crypto');
+    const fs = require('fs');
+    const net = require('net');
+    const path = require('path');
 
     // Shared instances for event emitters and subscriptions (not stored in context)
     const sharedInstances = new Map();
 
+    // Maximum topics per cache browser publish (1/s); the remainder is sent on the next tick
+    const BROWSE_MAX_UPDATES = 500;
+
+    // Histogram buckets (seconds) for subscriber callback latency
+    const CALLBACK_BUCKETS = [0.0001, 0.001, 0.01, 0.1, 1];
+
+    /**
+     * Create the counters kept per cache instance
+     * @returns {object}
+     */
+    function createMetrics() {
+        return {
+            updates: 0,
+            suppressed: 0,
+            removed: { expired: 0, evicted: 0, deleted: 0 },
+            callbacks: 0,
+            callbackErrors: 0,
+            callbackSeconds: 0,
+            callbackBuckets: CALLBACK_BUCKETS.map(() => 0)
+        };
+    }
+
+    /**
+     * Collects Prometheus metric families, so each family is written once (HELP, TYPE, then all samples)
+     * even when samples are added for several caches
+     * @returns {object} - {add(name, type, help, labels, value, suffix?), toString()}
+     */
+    function createMetricsWriter() {
+        const families = new Map();
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return {
+            add(name, type, help, labels, value, suffix = '') {
+                if (!families.has(name)) {
+                    families.set(name, { type: type, help: help, samples: [] });
+                }
+                const labelText = Object.entries(labels)
+                    .map(([key, val]) => `${key}="${escape(val)}"`)
+                    .join(',');
+                families.get(name).samples.push(`${name}${suffix}{${labelText}} ${value}`);
+            },
+            toString() {
+                const lines = [];
+                for (const [name, family] of families) {
+                    lines.push(`# HELP ${name} ${family.help}`);
+                    lines.push(`# TYPE ${name} ${family.type}`);
+                    lines.push(...family.samples);
+                }
+                return lines.join('\n') + '\n';
+            }
+        };
+    }
+
+    /**
+     * Check whether a subscription topic contains MQTT-style wildcards
+     * @param {string} topic - Topic or pattern
+     * @returns {boolean}
+     */
+    function isWildcard(topic) {
+        return topic.includes('+') || topic.includes('#');
+    }
+
+    /**
+     * Validate a wildcard pattern: '+' and '#' must fill a whole level, '#' only as the last level
+     * @param {string} pattern - Topic pattern
+     * @returns {boolean}
+     */
+    function isValidPattern(pattern) {
+        const levels = pattern.split('/');
+        for (let i = 0; i < levels.length; i++) {
+            const level = levels[i];
+            if (level === '#') {
+                if (i !== levels.length - 1) return false;
+            } else if (level !== '+' && isWildcard(level)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Test a topic against a pattern ('+' = one level, '#' = zero or more trailing levels)
+     * @param {string} pattern - Exact topic or wildcard pattern
+     * @param {string} topic - Concrete topic
+     * @returns {boolean}
+     */
+    function matchTopic(pattern, topic) {
+        if (!isWildcard(pattern)) {
+            return pattern === topic;
+        }
+        const p = pattern.split('/');
+        const t = topic.split('/');
+        for (let i = 0; i < p.length; i++) {
+            if (p[i] === '#') return true;
+            if (i >= t.length) return false;
+            if (p[i] !== '+' && p[i] !== t[i]) return false;
+        }
+        return p.length === t.length;
+    }
+
+    /**
+     * Ring buffer holding the recent {value, ts} samples of one topic
+     * @param {number} capacity - Maximum samples, 0 = grow as needed (bounded by the history window)
+     * @returns {object} - Buffer with push/trimBefore/toArray
+     */
+    function createHistoryBuffer(capacity) {
+        let items = new Array(capacity || 16);
+        let start = 0;
+        let length = 0;
+
+        return {
+            push(sample) {
+                if (length === items.length) {
+                    if (capacity) {
+                        // Full: overwrite the oldest sample
+                        items[start] = sample;
+                        start = (start + 1) % items.length;
+                        return;
+                    }
+                    const grown = new Array(items.length * 2);
+                    for (let i = 0; i < length; i++) {
+                        grown[i] = items[(start + i) % items.length];
+                    }
+                    items = grown;
+                    start = 0;
+                }
+                items[(start + length) % items.length] = sample;
+                length++;
+            },
+            trimBefore(cutoff) {
+                while (length > 0 && items[start].ts < cutoff) {
+                    items[start] = undefined;
+                    start = (start + 1) % items.length;
+                    length--;
+                }
+            },
+            toArray(since, limit) {
+                const out = [];
+                for (let i = 0; i < length; i++) {
+                    const sample = items[(start + i) % items.length];
+                    if (sample.ts >= since) out.push(sample);
+                }
+                return limit > 0 && out.length > limit ? out.slice(out.length - limit) : out;
+            }
+        };
+    }
+
+    const REGISTRY_TYPES = ['number', 'integer', 'boolean', 'string', 'object'];
+
+    /**
+     * Normalize a topic registry (config list, or a map of topic -> info as imported from JSON)
+     * @param {Array|object} raw - [{topic, description, unit, min, max, type}] or {topic: {...}}
+     * @param {Function} warn - Called with a message for each skipped item
+     * @returns {Array<object>} - [{topic, description, unit, min, max, type}]
+     */
+    function normalizeRegistry(raw, warn) {
+        const items = Array.isArray(raw)
+            ? raw
+            : Object.entries(raw || {}).map(([topic, info]) => ({ ...info, topic: topic }));
+        const registry = [];
+        for (const item of items) {
+            if (!item || typeof item.topic !== 'string' || !item.topic) continue;
+            if (!isValidPattern(item.topic)) {
+                warn(`Ignoring registry entry with invalid topic pattern: ${item.topic}`);
+                continue;
+            }
+            const number = (value) => value === '' || value === null || value === undefined || isNaN(Number(value))
+                ? undefined : Number(value);
+            registry.push({
+                topic: item.topic,
+                description: item.description || '',
+                unit: item.unit || '',
+                min: number(item.min),
+                max: number(item.max),
+                type: REGISTRY_TYPES.includes(item.type) ? item.type : ''
+            });
+        }
+        return registry;
+    }
+
+    /**
+     * Check a value against its registry entry
+     * @param {object} info - Registry entry
+     * @param {any} value - Value to check
+     * @returns {string|null} - Reason the value is invalid, or null
+     */
+    function checkValue(info, value) {
+        switch (info.type) {
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) return `expected number, got ${JSON.stringify(value)}`;
+                break;
+            case 'integer':
+                if (!Number.isInteger(value)) return `expected integer, got ${JSON.stringify(value)}`;
+                break;
+            case 'boolean':
+            case 'string':
+                if (typeof value !== info.type) return `expected ${info.type}, got ${typeof value}`;
+                break;
+            case 'object':
+                if (value === null || typeof value !== 'object') return `expected object, got ${value === null ? 'null' : typeof value}`;
+                break;
+        }
+        if (typeof value === 'number') {
+            if (info.min !== undefined && value < info.min) return `${value} below min ${info.min}`;
+            if (info.max !== undefined && value > info.max) return `${value} above max ${info.max}`;
+        }
+        return null;
+    }
+
+    const CSV_COLUMNS = ['topic', 'value', 'ts', 'quality', 'metadata'];
+
+    /**
+     * Quote a CSV field if needed (RFC 4180)
+     * @param {string} field
+     * @returns {string}
+     */
+    function csvField(field) {
+        return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    }
+
+    /**
+     * Format entries as CSV. Values are written as-is when they are plain text, otherwise as JSON,
+     * so strings like "42" keep their type on import.
+     * @param {object} entries - Map of topic -> entry
+     * @returns {string}
+     */
+    function entriesToCsv(entries) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const [topic, entry] of Object.entries(entries)) {
+            let value = JSON.stringify(entry.value);
+            if (typeof entry.value === 'string') {
+                let parses = true;
+                try {
+                    JSON.parse(entry.value);
+                } catch (err) {
+                    parses = false;
+                }
+                value = parses ? value : entry.value;
+            }
+            lines.push([
+                topic,
+                value === undefined ? '' : value,
+                String(entry.ts),
+                entry.quality || 'good',
+                JSON.stringify(entry.metadata || {})
+            ].map(csvField).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse CSV written by entriesToCsv (header row required, columns in any order)
+     * @param {string} text - CSV text
+     * @returns {object} - Map of topic -> entry
+     */
+    function csvToEntries(text) {
+        // Split into rows of fields, honouring quoted fields with commas, quotes and newlines
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const header = (rows.shift() || []).map(name => name.trim());
+        const column = (name) => header.indexOf(name);
+        if (column('topic') < 0 || column('value') < 0) {
+            throw new Error('CSV needs at least a topic and a value column');
+        }
+        const parseJson = (raw, fallback) => {
+            try {
+                return JSON.parse(raw);
+            } catch (err) {
+                return fallback;
+            }
+        };
+
+        const entries = {};
+        for (const fields of rows) {
+            const topic = fields[column('topic')];
+            if (!topic) continue;
+            const rawValue = fields[column('value')] || '';
+            entries[topic] = {
+                value: parseJson(rawValue, rawValue),
+                ts: column('ts') >= 0 ? Number(fields[column('ts')]) : undefined,
+                quality: column('quality') >= 0 ? fields[column('quality')] : undefined,
+                metadata: column('metadata') >= 0 ? parseJson(fields[column('metadata')], {}) : {}
+            };
+        }
+        return entries;
+    }
+
+    /**
+     * Normalize report-by-exception settings from node config or an override rule
+     * @param {object} raw - {deadband, deadbandType, onlyOnChange, maxSilence}
+     * @returns {object} - {deadband, percent, onlyOnChange, maxSilence, enabled}
+     */
+    function normalizeFilter(raw) {
+        const filter = {
+            deadband: Math.max(parseFloat(raw.deadband) || 0, 0),
+            percent: raw.deadbandType === 'percent',
+            onlyOnChange: raw.onlyOnChange === true || raw.onlyOnChange === 'true',
+            maxSilence: Math.max(parseInt(raw.maxSilence) || 0, 0) // ms, 0 = off
+        };
+        filter.enabled = filter.deadband > 0 || filter.onlyOnChange;
+        return filter;
+    }
+
+    /**
+     * Compare two values for "only on change" (structural for objects)
+     * @param {any} a
+     * @param {any} b
+     * @returns {boolean}
+     */
+    function sameValue(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return false;
+        }
+        try {
+            return JSON.stringify(a) === JSON.stringify(b);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Decide whether a write is reported to subscribers or suppressed by the filter
+     * @param {object} filter - Normalized filter (see normalizeFilter)
+     * @param {object} previous - Last reported entry
+     * @param {any} value - New value
+     * @param {string} quality - New (normalized) quality
+     * @param {number} silentFor - ms since the last reported write
+     * @returns {boolean}
+     */
+    function shouldReport(filter, previous, value, quality, silentFor) {
+        if (!filter.enabled || previous.quality !== quality) {
+            return true;
+        }
+        if (filter.maxSilence > 0 && silentFor >= filter.maxSilence) {
+            return true;
+        }
+        if (filter.deadband > 0 && typeof value === 'number' && typeof previous.value === 'number' &&
+                isFinite(value) && isFinite(previous.value)) {
+            const band = filter.percent ? Math.abs(previous.value) * filter.deadband / 100 : filter.deadband;
+            return Math.abs(value - previous.value) > band;
+        }
+        return filter.onlyOnChange ? !sameValue(previous.value, value) : true;
+    }
+
+    /**
+     * Normalize a source quality to 'good', 'uncertain' or 'bad'
+     * Accepts names (case-insensitive, OPC-UA style prefixes such as 'BadNodeIdUnknown'),
+     * numeric OPC-UA status codes (severity in the top two bits), booleans and
+     * objects with a name or value (e.g. node-opcua StatusCode).
+     * @param {any} quality - Raw quality, undefined/null means good
+     * @returns {string}
+     */
+    function normalizeQuality(quality) {
+        if (quality === undefined || quality === null || quality === '') {
+            return 'good';
+        }
+        if (typeof quality === 'boolean') {
+            return quality ? 'good' : 'bad';
+        }
+        if (typeof quality === 'number') {
+            const severity = quality >>> 30;
+            return severity === 0 ? 'good' : severity === 1 ? 'uncertain' : 'bad';
+        }
+        if (typeof quality === 'object') {
+            return normalizeQuality(typeof quality.name === 'string' ? quality.name : quality.value);
+        }
+        const name = String(quality).toLowerCase();
+        if (name.startsWith('good')) return 'good';
+        if (name.startsWith('bad')) return 'bad';
+        return 'uncertain';
+    }
+
+    // Doubly linked list with a sentinel; links are {record, prev, next}
+    function createList() {
+        const sentinel = { record: null };
+        sentinel.prev = sentinel.next = sentinel;
+        return sentinel;
+    }
+
+    function listAppend(list, link) {
+        link.prev = list.prev;
+        link.next = list;
+        list.prev.next = link;
+        list.prev = link;
+    }
+
+    function listRemove(link) {
+        link.prev.next = link.next;
+        link.next.prev = link.prev;
+        link.prev = link.next = null;
+    }
+
+    /**
+     * Entry store: Map<topic, record> plus two linked lists over the same records.
+     * - use order (reads and writes): O(1) least-recently-used lookup for eviction
+     * - write order: TTL sweep visits only expired topics
+     * @returns {object} - Store API
+     */
+    function createEntryStore() {
+        const records = new Map();
+        const useOrder = createList();
+        const writeOrder = createList();
+
+        return {
+            get size() {
+                return records.size;
+            },
+            get(topic) {
+                const record = records.get(topic);
+                return record ? record.entry : undefined;
+            },
+            touch(topic) {
+                const record = records.get(topic);
+                if (record) {
+                    listRemove(record.use);
+                    listAppend(useOrder, record.use);
+                }
+            },
+            set(topic, entry, writtenAt) {
+                let record = records.get(topic);
+                if (record) {
+                    listRemove(record.use);
+                    listRemove(record.write);
+                } else {
+                    record = { topic: topic };
+                    record.use = { record: record };
+                    record.write = { record: record };
+                    records.set(topic, record);
+                }
+                record.entry = entry;
+                record.writtenAt = writtenAt;
+                listAppend(useOrder, record.use);
+                listAppend(writeOrder, record.write);
+            },
+            delete(topic) {
+                const record = records.get(topic);
+                if (!record) return false;
+                listRemove(record.use);
+                listRemove(record.write);
+                records.delete(topic);
+                return true;
+            },
+            /**
+             * Add entries written earlier (e.g. from a snapshot), replacing the stored ones. They
+             * are merged into the write order by write time and count as least recently used.
+             * @param {Array} items - [topic, entry, writtenAt], ordered by writtenAt
+             */
+            restore(items) {
+                for (const [topic] of items) {
+                    const record = records.get(topic);
+                    if (record) {
+                        listRemove(record.use);
+                        listRemove(record.write);
+                        records.delete(topic);
+                    }
+                }
+                // listAppend(link, ...) inserts before any link, not only before the sentinel
+                const firstUsed = useOrder.next;
+                let writtenLater = writeOrder.next;
+                for (const [topic, entry, writtenAt] of items) {
+                    while (writtenLater !== writeOrder && writtenLater.record.writtenAt <= writtenAt) {
+                        writtenLater = writtenLater.next;
+                    }
+                    const record = { topic: topic, entry: entry, writtenAt: writtenAt };
+                    record.use = { record: record };
+                    record.write = { record: record };
+                    records.set(topic, record);
+                    listAppend(firstUsed, record.use);
+                    listAppend(writtenLater, record.write);
+                }
+            },
+            leastRecentlyUsed() {
+                return useOrder.next === useOrder ? undefined : useOrder.next.record.topic;
+            },
+            writtenBefore(cutoff) {
+                const topics = [];
+                for (let link = writeOrder.next; link !== writeOrder && link.record.writtenAt < cutoff; link = link.next) {
+                    topics.push(link.record.topic);
+                }
+                return topics;
+            },
+            keys() {
+                return records.keys();
+            },
+            *entries() {
+                for (const [topic, record] of records) {
+                    yield [topic, record.entry];
+                }
+            },
+            clear() {
+                records.clear();
+                useOrder.prev = useOrder.next = useOrder;
+                writeOrder.prev = writeOrder.next = writeOrder;
+            }
+        };
+    }
+
+    // Topic trie for wildcard subscriptions: one node per topic level
+    function createTrieNode() {
+        return { children: new Map(), subs: new Map() };
+    }
+
+    function trieAdd(root, pattern, subId, sub) {
+        let current = root;
+        for (const level of pattern.split('/')) {
+            if (!current.children.has(level)) {
+                current.children.set(level, createTrieNode());
+            }
+            current = current.children.get(level);
+        }
+        current.subs.set(subId, sub);
+    }
+
+    function trieRemove(root, pattern, subId) {
+        const levels = pattern.split('/');
+        const path = [root];
+        let current = root;
+        for (const level of levels) {
+            current = current.children.get(level);
+            if (!current) return;
+            path.push(current);
+        }
+        current.subs.delete(subId);
+
+        // Prune branches that no longer hold subscriptions
+        for (let i = levels.length; i > 0; i--) {
+            const child = path[i];
+            if (child.subs.size > 0 || child.children.size > 0) break;
+            path[i - 1].children.delete(levels[i - 1]);
+        }
+    }
+
+    function trieMatch(current, levels, index, out) {
+        const hash = current.children.get('#');
+        if (hash) {
+            for (const sub of hash.subs) out.push(sub);
+        }
+        if (index === levels.length) {
+            for (const sub of current.subs) out.push(sub);
+            return;
+        }
+        const exact = current.children.get(levels[index]);
+        if (exact) trieMatch(exact, levels, index + 1, out);
+        const plus = current.children.get('+');
+        if (plus) trieMatch(plus, levels, index + 1, out);
+    }
+
+    // Calc scheduling: evaluations of one calc per update before a (warn-mode) cycle is stopped
+    const CALC_RUN_LIMIT = 100;
+
+    /**
+     * Build the dependency graph of the event-calc nodes on a cache: an edge A -> B when an
+     * output topic of A matches a triggering input of B. Cycles are the strongly connected
+     * components with more than one calc; depth is the longest path from a calc without inputs
+     * from other calcs (all calcs in a cycle share a depth).
+     * @param {Array<object>} calcs - [{id, name, inputs: [pattern], outputs: [topic]}]
+     * @returns {{nodes: Array<object>, edges: Array<object>, cycles: Array<string[]>}} -
+     *          nodes: [{id, name, inputs, outputs, depth, cycle}] (cycle: index into cycles or null),
+     *          edges: [{from, to, topics}], cycles: [[id, ...]] in edge order
+     */
+    function buildCalcGraph(calcs) {
+        const edges = [];
+        const next = new Map(calcs.map(calc => [calc.id, []]));
+        for (const from of calcs) {
+            for (const to of calcs) {
+                if (from === to) continue;
+                const topics = from.outputs.filter(topic => to.inputs.some(pattern => matchTopic(pattern, topic)));
+                if (topics.length > 0) {
+                    edges.push({ from: from.id, to: to.id, topics: topics });
+                    next.get(from.id).push(to.id);
+                }
+            }
+        }
+
+        // Strongly connected components (Tarjan)
+        const index = new Map();
+        const low = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const component = new Map();
+        const components = [];
+        function connect(id) {
+            index.set(id, index.size);
+            low.set(id, index.get(id));
+            stack.push(id);
+            onStack.add(id);
+            for (const to of next.get(id)) {
+                if (!index.has(to)) {
+                    connect(to);
+                    low.set(id, Math.min(low.get(id), low.get(to)));
+                } else if (onStack.has(to)) {
+                    low.set(id, Math.min(low.get(id), index.get(to)));
+                }
+            }
+            if (low.get(id) === index.get(id)) {
+                const members = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.set(member, components.length);
+                    members.push(member);
+                } while (member !== id);
+                components.push(members.reverse());
+            }
+        }
+        for (const calc of calcs) {
+            if (!index.has(calc.id)) connect(calc.id);
+        }
+
+        // Longest path over the components (Tarjan yields them in reverse topological order)
+        const depth = new Array(components.length).fill(0);
+        for (let c = components.length - 1; c >= 0; c--) {
+            for (const id of components[c]) {
+                for (const to of next.get(id)) {
+                    const target = component.get(to);
+                    if (target !== c) depth[target] = Math.max(depth[target], depth[c] + 1);
+                }
+            }
+        }
+
+        const cycles = components.filter(members => members.length > 1);
+        return {
+            nodes: calcs.map(calc => {
+                const members = components[component.get(calc.id)];
+                return {
+                    id: calc.id,
+                    name: calc.name,
+                    inputs: calc.inputs,
+                    outputs: calc.outputs,
+                    depth: depth[component.get(calc.id)],
+                    cycle: members.length > 1 ? cycles.indexOf(members) : null
+                };
+            }),
+            edges: edges,
+            cycles: cycles
+        };
+    }
+
+    // Replication: per-peer limit for unsent output and for an incomplete incoming line
+    const REPLICATION_MAX_BUFFER = 16 * 1024 * 1024;
+    const REPLICATION_MAX_RECONNECT = 30000;
+    const REPLICATION_HANDSHAKE_TIMEOUT = 10000;
+    const REPLICATION_REJECTED_RETRY = 300000; // client retry after the server refused the handshake
+
+    /**
+     * Proof of the shared secret for a handshake nonce: HMAC-SHA256, so the secret itself is
+     * never sent. The role keeps a proof from being replayed in the other direction.
+     * @param {string} secret - Shared secret ('' if none)
+     * @param {string} role - 'client' or 'server' (who proves)
+     * @param {string} nonce - Nonce chosen by the other side
+     * @returns {string} - Hex digest
+     */
+    function secretProof(secret, role, nonce) {
+        return crypto.createHmac('sha256', String(secret || '')).update(`${role}:${nonce}`).digest('hex');
+    }
+
+    /**
+     * Compare a received proof with the expected one in constant time
+     * @param {any} proof - Received proof
+     * @param {string} expected - From secretProof
+     * @returns {boolean}
+     */
+    function validProof(proof, expected) {
+        const received = Buffer.from(typeof proof === 'string' ? proof : '', 'utf8');
+        const wanted = Buffer.from(expected, 'utf8');
+        return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+    }
+
+    /**
+     * Replicate a cache with peer Node-RED instances over TCP, one JSON message per line.
+     * Handshake (challenge-response, the secret never goes over the wire):
+     * - server -> client {type: 'challenge', version, nonce}: the only message before the client proves the secret
+     * - client -> server {type: 'hello', version, nonce, proof: HMAC(secret, 'client:' + server nonce)}
+     * - server -> client {type: 'welcome', proof: HMAC(secret, 'server:' + client nonce)}, then its sync
+     * A peer that fails the handshake, or does not finish it in time, is dropped. Then:
+     * - {type: 'sync', entries: [[topic, entry]]}: full (filtered) state, sent after the handshake
+     * - {type: 'update', entries: [[topic, entry]]}: a write or batch
+     * - {type: 'delete', topics: [topic], ts}: explicit deletes (expiry/eviction stay local)
+     * Writes received from a peer are relayed to all other peers, never back to the sender.
+     * @param {object} options
+     * @param {string} options.mode - 'server' (listen) or 'client' (connect, reconnecting with backoff)
+     * @param {string} options.host - Bind address (server) or peer address (client)
+     * @param {number} options.port - TCP port
+     * @param {string} [options.secret] - Shared secret, proven in the handshake
+     * @param {string[]} options.topics - Patterns replicated in both directions
+     * @param {Function} options.entries - Returns an iterable of [topic, entry] for a full sync
+     * @param {Function} options.apply - Called with ([topic, entry] pairs, socket) for received writes
+     * @param {Function} options.remove - Called with (topics, ts, socket) for received deletes
+     * @param {Function} options.log - Info logger
+     * @param {Function} options.warn - Warning logger
+     * @param {Function} options.status - Called with (state, text) when the state changes: 'listening',
+     *        'connecting', 'connected' or 'rejected' (a client whose handshake failed, retrying slowly)
+     * @returns {object} - {updates(items, except), deleted(topics, ts, except), peerCount(), close()}
+     */
+    function createReplicator(options) {
+        const sockets = new Set(); // every connection, verified or not
+        const peers = new Set(); // connections that finished the handshake
+        let server = null;
+        let client = null;
+        let reconnectTimer = null;
+        let reconnectDelay = 1000;
+        let rejected = false; // the client's last handshake failed
+        let closing = false;
+
+        const accepts = (topic) => options.topics.some(pattern => matchTopic(pattern, topic));
+        const describe = (socket) => `${socket.remoteAddress || options.host}:${socket.remotePort || options.port}`;
+
+        function send(socket, message) {
+            if (socket.writableLength > REPLICATION_MAX_BUFFER) {
+                // The peer cannot keep up: drop it, it resyncs when it reconnects
+                options.warn(`Replication peer ${describe(socket)} is not keeping up, disconnecting`);
+                socket.destroy();
+                return;
+            }
+            socket.write(JSON.stringify(message) + '\n');
+        }
+
+        function broadcast(message, except) {
+            for (const socket of peers) {
+                if (socket !== except) send(socket, message);
+            }
+        }
+
+        function handle(socket, message) {
+            if (message.type === 'sync' || message.type === 'update') {
+                const items = (Array.isArray(message.entries) ? message.entries : [])
+                    .filter(item => Array.isArray(item) && typeof item[0] === 'string' && accepts(item[0]) &&
+                        item[1] && typeof item[1].ts === 'number');
+                if (items.length > 0) options.apply(items, socket);
+            } else if (message.type === 'delete') {
+                const topics = (Array.isArray(message.topics) ? message.topics : [])
+                    .filter(topic => typeof topic === 'string' && accepts(topic));
+                if (topics.length > 0) options.remove(topics, Number(message.ts) || Date.now(), socket);
+            }
+        }
+
+        /**
+         * Handle a connection: run the handshake, then exchange syncs and writes
+         * @param {net.Socket} socket
+         * @param {string} role - 'server' (accepted connection) or 'client' (outgoing connection)
+         */
+        function attach(socket, role) {
+            let buffer = '';
+            let verified = false;
+            const nonce = crypto.randomBytes(16).toString('hex');
+            sockets.add(socket);
+            socket.setEncoding('utf8');
+            socket.setNoDelay(true);
+            const handshakeTimer = setTimeout(() => {
+                options.warn(`Replication peer ${describe(socket)} did not complete the handshake, disconnecting`);
+                socket.destroy();
+            }, REPLICATION_HANDSHAKE_TIMEOUT);
+            if (role === 'server') {
+                send(socket, { type: 'challenge', version: 1, nonce: nonce });
+            }
+
+            let challenged = false; // client: the server has sent its challenge
+
+            function reject() {
+                if (role === 'client') {
+                    // Reported when the socket closes, like a server that drops the connection
+                    socket.destroy();
+                    return;
+                }
+                options.warn(`Replication peer ${describe(socket)} rejected (wrong secret or protocol)`);
+                socket.destroy();
+            }
+
+            function verify() {
+                verified = true;
+                clearTimeout(handshakeTimer);
+                peers.add(socket);
+                reconnectDelay = 1000;
+                rejected = false;
+                options.log(`Replication peer connected: ${describe(socket)}`);
+                options.status('connected', role === 'client'
+                    ? `connected to ${describe(socket)}` : `${peers.size} peer${peers.size === 1 ? '' : 's'}`);
+                const entries = [];
+                for (const [topic, entry] of options.entries()) {
+                    if (accepts(topic)) entries.push([topic, entry]);
+                }
+                send(socket, { type: 'sync', entries: entries });
+            }
+
+            // Returns false if the peer was rejected
+            function handshake(message) {
+                if (role === 'client' && message.type === 'challenge' && typeof message.nonce === 'string') {
+                    challenged = true;
+                    send(socket, {
+                        type: 'hello',
+                        version: 1,
+                        nonce: nonce,
+                        proof: secretProof(options.secret, 'client', message.nonce)
+                    });
+                    return true;
+                }
+                if (role === 'client' && message.type === 'welcome' &&
+                    validProof(message.proof, secretProof(options.secret, 'server', nonce))) {
+                    verify();
+                    return true;
+                }
+                if (role === 'server' && message.type === 'hello' && typeof message.nonce === 'string' &&
+                    validProof(message.proof, secretProof(options.secret, 'client', nonce))) {
+                    send(socket, { type: 'welcome', proof: secretProof(options.secret, 'server', message.nonce) });
+                    verify();
+                    return true;
+                }
+                reject();
+                return false;
+            }
+
+            socket.on('data', (chunk) => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\n')) >= 0) {
+                    const line = buffer.substring(0, index);
+                    buffer = buffer.substring(index + 1);
+                    if (!line) continue;
+                    let message;
+                    try {
+                        message = JSON.parse(line);
+                    } catch (err) {
+                        options.warn(`Replication peer ${describe(socket)} sent invalid JSON, disconnecting`);
+                        socket.destroy();
+                        return;
+                    }
+                    if (verified) {
+                        handle(socket, message);
+                    } else if (!handshake(message)) {
+                        return;
+                    }
+                }
+                if (buffer.length > (verified ? REPLICATION_MAX_BUFFER : 4096)) {
+                    options.warn(`Replication peer ${describe(socket)} sent an oversized message, disconnecting`);
+                    socket.destroy();
+                }
+            });
+            socket.on('error', (err) => {
+                if (!closing) options.warn(`Replication peer ${describe(socket)}: ${err.message}`);
+            });
+            socket.on('close', () => {
+                clearTimeout(handshakeTimer);
+                sockets.delete(socket);
+                if (closing) return;
+                if (peers.delete(socket)) {
+                    options.log(`Replication peer disconnected: ${describe(socket)}`);
+                    options.status(role === 'client' ? 'connecting' : 'listening', role === 'client'
+                        ? `connecting to ${describe(socket)}` : `${peers.size} peer${peers.size === 1 ? '' : 's'}`);
+                } else if (role === 'client' && challenged) {
+                    // The server closed the connection before its welcome: it refused our proof
+                    if (!rejected) {
+                        options.warn(`Replication server ${describe(socket)} refused the handshake (wrong secret?), ` +
+                            `retrying every ${REPLICATION_REJECTED_RETRY / 60000} minutes`);
+                    }
+                    rejected = true;
+                    options.status('rejected', `rejected by ${describe(socket)}`);
+                }
+            });
+        }
+
+        function connect() {
+            reconnectTimer = null;
+            if (closing) return;
+            client = net.connect({ host: options.host, port: options.port });
+            attach(client, 'client');
+            client.on('close', () => {
+                if (closing) return;
+                reconnectTimer = setTimeout(connect, rejected ? REPLICATION_REJECTED_RETRY : reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, REPLICATION_MAX_RECONNECT);
+            });
+        }
+
+        if (options.mode === 'server') {
+            server = net.createServer(socket => attach(socket, 'server'));
+            server.on('error', (err) => options.warn(`Replication server: ${err.message}`));
+            server.listen(options.port, options.host || '127.0.0.1');
+            options.status('listening', '0 peers');
+        } else {
+            options.status('connecting', `connecting to ${options.host}:${options.port}`);
+            connect();
+        }
+
+        return {
+            updates(items, except) {
+                const entries = items.filter(([topic]) => accepts(topic));
+                if (entries.length > 0) broadcast({ type: 'update', entries: entries }, except);
+            },
+            deleted(topics, ts, except) {
+                topics = topics.filter(accepts);
+                if (topics.length > 0) broadcast({ type: 'delete', topics: topics, ts: ts }, except);
+            },
+            peerCount() {
+                return peers.size;
+            },
+            close() {
+                closing = true;
+                if (reconnectTimer) clearTimeout(reconnectTimer);
+                for (const socket of sockets) socket.destroy();
+                return server ? new Promise(resolve => server.close(() => resolve())) : Promise.resolve();
+            }
+        };
+    }
+
     function EventCacheNode(config) {
         RED.nodes.createNode(this, config);
         const node = this;
@@ -22,6 +977,52 @@ module.exports = function(RED) {
         node.name = config.name || 'Event Cache';
         node.maxEntries = parseInt(config.maxEntries) || 10000;
         node.ttl = parseInt(config.ttl) || 0; // 0 = no expiry
+        node.historySize = parseInt(config.historySize) || 0; // samples per topic, 0 = unlimited
+        node.historyWindow = parseInt(config.historyWindow) || 0; // ms, 0 = unlimited
+        const historyEnabled = node.historySize > 0 || node.historyWindow > 0;
+        node.mirrorInterval = config.mirrorInterval === undefined || config.mirrorInterval === ''
+            ? 1000 : parseInt(config.mirrorInterval) || 0; // ms, 0 = only mirror on deploy/stop
+        node.persist = config.persist || false;
+        node.persistInterval = parseInt(config.persistInterval) || 60; // seconds
+        node.persistFile = path.resolve(
+            RED.settings.userDir || process.cwd(),
+            config.persistFile || `event-cache-${node.id}.json`
+        );
+
+        node.replication = config.replication || 'off'; // 'off' | 'server' | 'client'
+        node.replicationHost = config.replicationHost || '';
+        node.replicationPort = parseInt(config.replicationPort) || 1890;
+        node.replicationTopics = String(config.replicationTopics || '#')
+            .split(/[\n,]/)
+            .map(topic => topic.trim())
+            .filter(topic => topic && isValidPattern(topic));
+
+        node.cycleMode = config.cycleMode || 'warn'; // 'warn' | 'block' calc dependency cycles
+
+        // Report-by-exception: cache-wide defaults plus per-pattern overrides (first match wins)
+        const defaultFilter = normalizeFilter(config);
+        const filterRules = [];
+        for (const rule of config.filterRules || []) {
+            if (!rule || !rule.pattern) continue;
+            if (!isValidPattern(rule.pattern)) {
+                node.warn(`Ignoring filter rule with invalid topic pattern: ${rule.pattern}`);
+                continue;
+            }
+            filterRules.push({ pattern: rule.pattern, filter: normalizeFilter(rule) });
+        }
+        const filtersEnabled = defaultFilter.enabled || filterRules.some(rule => rule.filter.enabled);
+
+        // Topic registry: exact topics are looked up directly, patterns in order (first match wins)
+        node.registry = normalizeRegistry(config.registry, msg => node.warn(msg));
+        const registryExact = new Map();
+        const registryPatterns = [];
+        for (const info of node.registry) {
+            if (isWildcard(info.topic)) {
+                registryPatterns.push(info);
+            } else if (!registryExact.has(info.topic)) {
+                registryExact.set(info.topic, info);
+            }
+        }
 
         // Context key for storing cache data (visible in sidebar)
         const contextKey = `eventCache_${node.name.replace(/[^a-zA-Z0-9_]/g, '_')}`;
@@ -32,128 +1033,712 @@ module.exports = function(RED) {
         if (!sharedInstances.has(instanceKey)) {
             sharedInstances.set(instanceKey, {
                 emitter: new EventEmitter(),
-                // Subscription storage: Map<topic, Map<subId, callback>> for O(1) exact match
+                // Subscription storage: Map<topic, Map<subId, sub>> for O(1) exact match,
+                // sub = {topics, callback, onRemove, onBatch}
                 subscriptions: new Map(),
+                // Wildcard subscriptions live in a topic trie, only walked when non-empty
+                wildcards: createTrieNode(),
+                wildcardCount: 0,
+                // Map<subId, sub> so unsubscribe can find the right index
+                subscribers: new Map(),
+                // Map<topic, history buffer> when history is enabled
+                history: new Map(),
+                // Map<topic, {count, lastCount, rate}> for the cache browser
+                topicStats: new Map(),
+                // Map<topic, ts> of the last write reported to subscribers (report-by-exception)
+                reportedAt: new Map(),
+                // Counters for the metrics endpoint
+                metrics: createMetrics(),
                 users: 0,
                 subscriptionCounter: 0
             });
         }
 
-        const instance = sharedInstances.get(instanceKey);
-        instance.users++;
-        instance.emitter.setMaxListeners(100); // Allow many subscribers
+        const instance = sharedInstances.get(instanceKey);
+        instance.users++;
+        instance.emitter.setMaxListeners(100); // Allow many subscribers
+
+        // Primary in-memory store (see createEntryStore), shared across redeploys of this node
+        if (!instance.store) {
+            instance.store = createEntryStore();
+
+            // Seed from the global context mirror, so a redeploy does not lose the cache
+            const mirrored = globalContext.get(contextKey) || {};
+            const entries = Object.entries(mirrored)
+                .filter(([topic, entry]) => entry && typeof entry.ts === 'number')
+                .sort((a, b) => a[1].ts - b[1].ts);
+            for (const [topic, entry] of entries) {
+                instance.store.set(topic, entry, entry.ts);
+            }
+        }
+        const store = instance.store;
+
+        // Snapshot state: set whenever the cache changes, cleared after a successful save
+        let dirty = false;
+        let saving = null;
+        // Global context mirror state: the context copy is only rewritten every mirrorInterval ms
+        let mirrorDirty = true;
+
+        function markChanged() {
+            dirty = true;
+            mirrorDirty = true;
+        }
+
+        // Cache browser state: topics written/removed since the last publish, topics with a non-zero rate
+        const browseChanged = new Set();
+        const browseRemoved = new Set();
+        const browseRated = new Set();
+        let browseCleared = false;
+        let browseLastTick = Date.now();
+
+        /**
+         * Count a write for the cache browser
+         * @param {string} topic - The topic key
+         */
+        function countUpdate(topic) {
+            let stats = instance.topicStats.get(topic);
+            if (!stats) {
+                stats = { count: 0, lastCount: 0, rate: 0 };
+                instance.topicStats.set(topic, stats);
+            }
+            stats.count++;
+            instance.metrics.updates++;
+            browseChanged.add(topic);
+            browseRated.add(topic);
+            browseRemoved.delete(topic);
+        }
+
+        /**
+         * Describe a topic for the cache browser
+         * @param {string} topic - The topic key
+         * @param {object} entry - The cache entry
+         * @returns {object} - {value, ts, quality, count, rate, subscribers}
+         */
+        function browseInfo(topic, entry) {
+            const stats = instance.topicStats.get(topic);
+            return {
+                value: entry.value,
+                ts: entry.ts,
+                quality: entry.quality,
+                count: stats ? stats.count : 0,
+                rate: stats ? stats.rate : 0,
+                subscribers: matchSubscriptions(topic).length
+            };
+        }
+
+        /**
+         * Recompute update rates and publish changes to the editor (RED.comms "event-cache-browse-<id>").
+         * At most BROWSE_MAX_UPDATES topics are sent per tick; the rest carry over to the next tick.
+         */
+        function publishBrowse() {
+            const now = Date.now();
+            const elapsed = Math.max(now - browseLastTick, 1) / 1000;
+            browseLastTick = now;
+            for (const topic of browseRated) {
+                const stats = instance.topicStats.get(topic);
+                if (!stats) {
+                    browseRated.delete(topic);
+                    continue;
+                }
+                stats.rate = (stats.count - stats.lastCount) / elapsed;
+                stats.lastCount = stats.count;
+                if (stats.rate === 0) {
+                    // Publish the drop to 0 once, then stop tracking until the next write
+                    browseRated.delete(topic);
+                    browseChanged.add(topic);
+                }
+            }
+
+            if (!browseCleared && browseChanged.size === 0 && browseRemoved.size === 0) {
+                return;
+            }
+            const updates = {};
+            let sent = 0;
+            for (const topic of browseChanged) {
+                if (sent >= BROWSE_MAX_UPDATES) break;
+                browseChanged.delete(topic);
+                const entry = store.get(topic);
+                if (entry) {
+                    updates[topic] = browseInfo(topic, entry);
+                    sent++;
+                }
+            }
+            RED.comms.publish(`event-cache-browse-${node.id}`, {
+                size: store.size,
+                cleared: browseCleared,
+                updates: updates,
+                removed: Array.from(browseRemoved)
+            });
+            browseCleared = false;
+            browseRemoved.clear();
+        }
+        const browseTimer = setInterval(publishBrowse, 1000);
+
+        /**
+         * Write the store to global context (for visibility in the context sidebar)
+         */
+        function updateMirror() {
+            if (mirrorDirty) {
+                mirrorDirty = false;
+                globalContext.set(contextKey, Object.fromEntries(store.entries()));
+            }
+        }
+
+        /**
+         * Insert or replace an entry, moving it to the most recently used position
+         * @param {string} topic - The topic key
+         * @param {object} entry - The cache entry
+         */
+        function storeEntry(topic, entry) {
+            store.set(topic, entry, Date.now());
+            if (filtersEnabled) {
+                instance.reportedAt.set(topic, entry.ts);
+            }
+            markChanged();
+            countUpdate(topic);
+        }
+
+        /**
+         * Check a write against the report-by-exception filter for its topic
+         * @param {string} topic - The topic key
+         * @param {object} previous - Current (last reported) entry, if any
+         * @param {any} value - New value
+         * @param {string} quality - New (normalized) quality
+         * @param {number} now - Write time
+         * @returns {boolean} - True if subscribers should be notified
+         */
+        function isReported(topic, previous, value, quality, now) {
+            if (!filtersEnabled || !previous) {
+                return true;
+            }
+            const rule = filterRules.find(r => matchTopic(r.pattern, topic));
+            const reportedAt = instance.reportedAt.has(topic) ? instance.reportedAt.get(topic) : previous.ts;
+            return shouldReport(rule ? rule.filter : defaultFilter, previous, value, quality, now - reportedAt);
+        }
+
+        /**
+         * Record a suppressed write: keep the last reported value, refresh its timestamp
+         * (and TTL/LRU position) without notifying subscribers or recording history
+         * @param {string} topic - The topic key
+         * @param {object} previous - Last reported entry
+         * @param {number} now - Write time
+         */
+        function refreshEntry(topic, previous, now) {
+            store.set(topic, {
+                value: previous.value,
+                ts: now,
+                quality: previous.quality,
+                metadata: previous.metadata
+            }, now);
+            instance.metrics.suppressed++;
+            markChanged();
+        }
+
+        /**
+         * Store complete entries as-is (keeping their ts, bypassing the report filter), e.g. for
+         * imports and replication, optionally notifying subscribers with one batch
+         * @param {Array<[string, object]>} items - [topic, entry] pairs, oldest first
+         * @param {boolean} notify - Emit a batch for the written entries
+         */
+        function writeEntries(items, notify) {
+            for (const [topic, entry] of items) {
+                storeEntry(topic, entry);
+                recordHistory(topic, entry);
+            }
+            while (store.size > node.maxEntries) {
+                removeEntry(store.leastRecentlyUsed(), 'evicted');
+            }
+            if (notify && items.length > 0) {
+                instance.emitter.emit('batch', items.map(([topic, entry]) => ({ topic: topic, entry: entry })));
+            }
+        }
+
+        /**
+         * Append an entry to the topic's history buffer (if history is enabled)
+         * @param {string} topic - The topic key
+         * @param {object} entry - The cache entry
+         */
+        function recordHistory(topic, entry) {
+            if (!historyEnabled) {
+                return;
+            }
+            let buffer = instance.history.get(topic);
+            if (!buffer) {
+                buffer = createHistoryBuffer(node.historySize);
+                instance.history.set(topic, buffer);
+            }
+            buffer.push({ value: entry.value, ts: entry.ts, quality: entry.quality });
+            if (node.historyWindow > 0) {
+                buffer.trimBefore(entry.ts - node.historyWindow);
+            }
+        }
+
+        /**
+         * Remove an entry and its history
+         * @param {string} topic - The topic key
+         * @param {string} [reason] - 'expired', 'evicted' or 'deleted': notify subscribers with this reason
+         */
+        function removeEntry(topic, reason) {
+            const entry = store.get(topic);
+            store.delete(topic);
+            instance.history.delete(topic);
+            instance.topicStats.delete(topic);
+            instance.reportedAt.delete(topic);
+            browseChanged.delete(topic);
+            browseRemoved.add(topic);
+            markChanged();
+            if (reason && entry) {
+                instance.metrics.removed[reason]++;
+                instance.emitter.emit('remove', topic, entry, reason);
+            }
+        }
+
+        /**
+         * Load the snapshot file into the cache. Entries already present (and newer) are kept,
+         * restored entries are flagged with metadata.restored = true.
+         */
+        function restoreSnapshot() {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(fs.readFileSync(node.persistFile, 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    node.warn(`Could not restore snapshot from ${node.persistFile}: ${err.message}`);
+                }
+                return;
+            }
+
+            const now = Date.now();
+            const entries = Object.entries(snapshot.entries || {})
+                .filter(([topic, entry]) => entry && typeof entry.ts === 'number')
+                .filter(([topic, entry]) => !(node.ttl > 0 && now - entry.ts > node.ttl))
+                .sort((a, b) => b[1].ts - a[1].ts)
+                .slice(0, node.maxEntries)
+                .reverse();
+
+            // Entries keep their timestamp as write time, so the TTL counts from the original write
+            const restored = [];
+            for (const [topic, entry] of entries) {
+                const current = store.get(topic);
+                if (current && current.ts >= entry.ts) continue;
+                restored.push([topic, {
+                    value: entry.value,
+                    ts: entry.ts,
+                    quality: normalizeQuality(entry.quality),
+                    metadata: { ...(entry.metadata || {}), restored: true }
+                }, entry.ts]);
+            }
+            store.restore(restored);
+            while (store.size > node.maxEntries) {
+                removeEntry(store.leastRecentlyUsed());
+            }
+            markChanged();
+            node.log(`Restored ${restored.length} entries from ${node.persistFile}`);
+        }
+
+        /**
+         * Write the cache to the snapshot file (temp file + rename, so a crash never leaves it truncated)
+         * @returns {Promise}
+         */
+        function saveSnapshot() {
+            if (saving) {
+                return saving;
+            }
+            dirty = false;
+            const snapshot = {
+                version: 1,
+                savedAt: Date.now(),
+                entries: Object.fromEntries(store.entries())
+            };
+            const tmpFile = node.persistFile + '.tmp';
+            saving = fs.promises.writeFile(tmpFile, JSON.stringify(snapshot))
+                .then(() => fs.promises.rename(tmpFile, node.persistFile))
+                .catch(err => {
+                    dirty = true;
+                    node.error(`Could not save snapshot to ${node.persistFile}: ${err.message}`);
+                })
+                .finally(() => {
+                    saving = null;
+                });
+            return saving;
+        }
+
+        let persistTimer = null;
+        if (node.persist) {
+            restoreSnapshot();
+            persistTimer = setInterval(() => {
+                if (dirty) saveSnapshot();
+            }, node.persistInterval * 1000);
+        }
+
+        updateMirror();
+        let mirrorTimer = null;
+        if (node.mirrorInterval > 0) {
+            mirrorTimer = setInterval(updateMirror, node.mirrorInterval);
+        }
+
+        // TTL cleanup interval: walks the write order from the oldest write and stops at the first live topic
+        let ttlInterval = null;
+        if (node.ttl > 0) {
+            ttlInterval = setInterval(() => {
+                for (const topic of store.writtenBefore(Date.now() - node.ttl)) {
+                    removeEntry(topic, 'expired');
+                }
+            }, Math.min(node.ttl, 60000)); // Check at most every minute
+        }
+
+        /**
+         * Set a value in the cache and emit update event. Writes suppressed by the deadband /
+         * only-on-change filter only refresh the timestamp of the last reported value.
+         * @param {string} topic - The topic key
+         * @param {any} value - The value to store
+         * @param {object} metadata - Optional metadata
+         * @param {any} [quality] - Source quality, normalized to 'good' | 'uncertain' | 'bad' (default 'good')
+         * @returns {boolean} - False if the write was suppressed
+         */
+        node.setValue = function(topic, value, metadata = {}, quality) {
+            const entry = {
+                value: value,
+                ts: Date.now(),
+                quality: normalizeQuality(quality),
+                metadata: metadata
+            };
+
+            const previous = store.get(topic);
+            if (!isReported(topic, previous, entry.value, entry.quality, entry.ts)) {
+                refreshEntry(topic, previous, entry.ts);
+                return false;
+            }
+
+            storeEntry(topic, entry);
+
+            // Enforce max entries (LRU eviction - remove least recently used)
+            if (store.size > node.maxEntries) {
+                removeEntry(store.leastRecentlyUsed(), 'evicted');
+            }
+            recordHistory(topic, entry);
+
+            // Emit topic-specific update event
+            instance.emitter.emit('update', topic, entry);
+            return true;
+        };
+
+        /**
+         * Set several values as one batch. All entries are stored before any subscriber is
+         * notified, and each subscriber is notified once for the whole batch.
+         * Writes suppressed by the deadband / only-on-change filter are left out of the batch.
+         * @param {Array<{topic: string, value: any, metadata?: object, quality?: any}>} entries - Values to store
+         * @returns {number} - Number of topics written (and reported)
+         */
+        node.setValues = function(entries) {
+            const ts = Date.now();
+            // Later entries for the same topic win
+            const updates = new Map();
+            for (const item of entries) {
+                if (!item || typeof item.topic !== 'string' || !item.topic) continue;
+                updates.set(item.topic, {
+                    value: item.value,
+                    ts: ts,
+                    quality: normalizeQuality(item.quality),
+                    metadata: item.metadata || {}
+                });
+            }
+            if (filtersEnabled) {
+                for (const [topic, entry] of updates) {
+                    const previous = store.get(topic);
+                    if (!isReported(topic, previous, entry.value, entry.quality, ts)) {
+                        refreshEntry(topic, previous, ts);
+                        updates.delete(topic);
+                    }
+                }
+            }
+
+            for (const [topic, entry] of updates) {
+                storeEntry(topic, entry);
+                recordHistory(topic, entry);
+            }
+            // Evict after the whole batch is in, so the batch never evicts its own topics first
+            while (store.size > node.maxEntries && store.size > updates.size) {
+                removeEntry(store.leastRecentlyUsed(), 'evicted');
+            }
+
+            if (updates.size > 0) {
+                instance.emitter.emit('batch', Array.from(updates, ([topic, entry]) => ({ topic: topic, entry: entry })));
+            }
+            return updates.size;
+        };
+
+        /**
+         * Get a value from the cache (counts as a use for LRU ordering)
+         * @param {string} topic - The topic key
+         * @returns {object|undefined} - The cached entry {value, ts, quality, metadata} or undefined
+         */
+        node.getValue = function(topic) {
+            store.touch(topic);
+            return store.get(topic);
+        };
+
+        /**
+         * Get all entries matching a topic or pattern (does not change LRU order)
+         * @param {string} [pattern] - Optional exact topic or wildcard pattern, default all topics
+         * @returns {object} - Map of topic -> entry
+         */
+        node.getValues = function(pattern) {
+            const result = {};
+            for (const [topic, entry] of store.entries()) {
+                if (!pattern || matchTopic(pattern, topic)) {
+                    result[topic] = entry;
+                }
+            }
+            return result;
+        };
+
+        /**
+         * Delete a single topic and notify its subscribers (reason 'deleted')
+         * @param {string} topic - The topic key
+         * @returns {boolean} - False if the topic was not cached
+         */
+        node.deleteValue = function(topic) {
+            if (store.get(topic) === undefined) {
+                return false;
+            }
+            removeEntry(topic, 'deleted');
+            return true;
+        };
 
-        // Initialize cache in global context if not exists
-        if (!globalContext.get(contextKey)) {
-            globalContext.set(contextKey, {});
-        }
+        /**
+         * Get entries with update counts, rates and subscriber counts (for the cache browser)
+         * @returns {object} - Map of topic -> {value, ts, quality, count, rate, subscribers}
+         */
+        node.browse = function() {
+            const result = {};
+            for (const [topic, entry] of store.entries()) {
+                result[topic] = browseInfo(topic, entry);
+            }
+            return result;
+        };
 
-        // TTL cleanup interval
-        let ttlInterval = null;
-        if (node.ttl > 0) {
-            ttlInterval = setInterval(() => {
-                const now = Date.now();
-                const cache = globalContext.get(contextKey) || {};
-                let changed = false;
-                for (const topic of Object.keys(cache)) {
-                    if (now - cache[topic].ts > node.ttl) {
-                        delete cache[topic];
-                        changed = true;
+        /**
+         * Load entries (e.g. from an export) into the cache, keeping their timestamps.
+         * Imported entries are flagged with metadata.imported = true and bypass the deadband filter.
+         * @param {object} entries - Map of topic -> {value, ts?, quality?, metadata?}
+         * @param {object} [options] - Import options
+         * @param {string} [options.mode='merge'] - 'merge' keeps other topics, 'replace' removes them
+         * @param {boolean} [options.notify=false] - Notify subscribers (one batch; removals as 'deleted')
+         * @returns {number} - Number of topics imported
+         */
+        node.importEntries = function(entries, options = {}) {
+            const notify = !!options.notify;
+            const now = Date.now();
+            const imported = Object.entries(entries || {})
+                .filter(([topic, entry]) => topic && entry && typeof entry === 'object' && 'value' in entry)
+                .map(([topic, entry]) => [topic, {
+                    value: entry.value,
+                    ts: Number(entry.ts) || now,
+                    quality: normalizeQuality(entry.quality),
+                    metadata: { ...(entry.metadata || {}), imported: true }
+                }])
+                .sort((a, b) => a[1].ts - b[1].ts)
+                .slice(-node.maxEntries);
+
+            if (options.mode === 'replace') {
+                const keep = new Set(imported.map(([topic]) => topic));
+                for (const topic of Array.from(store.keys())) {
+                    if (!keep.has(topic)) {
+                        removeEntry(topic, notify ? 'deleted' : undefined);
                     }
                 }
-                if (changed) {
-                    globalContext.set(contextKey, cache);
-                }
-            }, Math.min(node.ttl, 60000)); // Check at most every minute
-        }
+            }
+            writeEntries(imported, notify);
+            return imported.length;
+        };
 
         /**
-         * Set a value in the cache and emit update event
-         * @param {string} topic - The topic key
-         * @param {any} value - The value to store
-         * @param {object} metadata - Optional metadata
+         * Look up the registry entry for a topic (exact entry first, then the first matching pattern)
+         * @param {string} topic - Concrete topic
+         * @returns {object|undefined} - {topic, description, unit, min, max, type}
          */
-        node.setValue = function(topic, value, metadata = {}) {
-            const entry = {
-                value: value,
-                ts: Date.now(),
-                metadata: metadata
+        node.getTopicInfo = function(topic) {
+            return registryExact.get(topic) || registryPatterns.find(info => matchTopic(info.topic, topic));
+        };
+
+        /**
+         * Validate a value against the topic's registry entry (type and min/max range)
+         * @param {string} topic - Concrete topic
+         * @param {any} value - Value to check
+         * @returns {string|null} - Reason the value is invalid, or null if valid or not registered
+         */
+        node.validateValue = function(topic, value) {
+            const info = node.getTopicInfo(topic);
+            return info ? checkValue(info, value) : null;
+        };
+
+        /**
+         * Get a summary of the cache counters (for the stats endpoint)
+         * @returns {object}
+         */
+        node.getMetrics = function() {
+            const metrics = instance.metrics;
+            return {
+                updates: metrics.updates,
+                suppressed: metrics.suppressed,
+                expired: metrics.removed.expired,
+                evicted: metrics.removed.evicted,
+                deleted: metrics.removed.deleted,
+                callbacks: metrics.callbacks,
+                callbackErrors: metrics.callbackErrors,
+                callbackAvgMs: metrics.callbacks > 0 ? metrics.callbackSeconds * 1000 / metrics.callbacks : 0
             };
+        };
 
-            const cache = globalContext.get(contextKey) || {};
-            cache[topic] = entry;
-
-            // Enforce max entries (LRU eviction - remove oldest)
-            const keys = Object.keys(cache);
-            if (keys.length > node.maxEntries) {
-                // Find oldest entry
-                let oldestKey = keys[0];
-                let oldestTs = cache[oldestKey].ts;
-                for (const key of keys) {
-                    if (cache[key].ts < oldestTs) {
-                        oldestTs = cache[key].ts;
-                        oldestKey = key;
-                    }
-                }
-                delete cache[oldestKey];
+        /**
+         * Add this cache's metrics to a Prometheus writer (see createMetricsWriter)
+         * @param {object} writer - Metrics writer
+         * @param {boolean} [perTopic=true] - Include per-topic update counters and rates
+         */
+        node.writeMetrics = function(writer, perTopic = true) {
+            const metrics = instance.metrics;
+            // Names need not be unique, the ids keep the series apart
+            const cache = { cache: node.name, cache_id: node.id };
+            writer.add('event_cache_entries', 'gauge', 'Topics currently cached', cache, store.size);
+            writer.add('event_cache_subscriptions', 'gauge', 'Active subscriptions', cache, instance.subscribers.size);
+            writer.add('event_cache_updates_total', 'counter', 'Writes reported to subscribers', cache, metrics.updates);
+            writer.add('event_cache_suppressed_total', 'counter', 'Writes suppressed by deadband / only on change', cache, metrics.suppressed);
+            for (const [reason, count] of Object.entries(metrics.removed)) {
+                writer.add('event_cache_removed_total', 'counter', 'Topics removed, by reason (expired, evicted, deleted)',
+                    { ...cache, reason: reason }, count);
             }
+            writer.add('event_cache_callback_errors_total', 'counter', 'Subscriber callbacks that threw', cache, metrics.callbackErrors);
 
-            globalContext.set(contextKey, cache);
+            const latency = 'event_cache_callback_duration_seconds';
+            const latencyHelp = 'Subscriber callback latency';
+            CALLBACK_BUCKETS.forEach((le, i) => {
+                writer.add(latency, 'histogram', latencyHelp, { ...cache, le: le }, metrics.callbackBuckets[i], '_bucket');
+            });
+            writer.add(latency, 'histogram', latencyHelp, { ...cache, le: '+Inf' }, metrics.callbacks, '_bucket');
+            writer.add(latency, 'histogram', latencyHelp, cache, metrics.callbackSeconds, '_sum');
+            writer.add(latency, 'histogram', latencyHelp, cache, metrics.callbacks, '_count');
 
-            // Emit topic-specific update event
-            instance.emitter.emit('update', topic, entry);
+            if (perTopic) {
+                for (const [topic, stats] of instance.topicStats) {
+                    const labels = { ...cache, topic: topic };
+                    writer.add('event_cache_topic_updates_total', 'counter', 'Writes reported per topic', labels, stats.count);
+                    writer.add('event_cache_topic_update_rate', 'gauge', 'Updates per second per topic', labels, stats.rate);
+                }
+            }
         };
 
         /**
-         * Get a value from the cache
+         * Get recent samples of a topic, oldest first
          * @param {string} topic - The topic key
-         * @returns {object|undefined} - The cached entry {value, ts, metadata} or undefined
+         * @param {object} [options] - Filter options
+         * @param {number} [options.since] - Only samples with ts >= since
+         * @param {number} [options.limit] - Only the most recent N samples
+         * @returns {Array<{value: any, ts: number, quality: string}>} - Samples (empty if history is disabled)
          */
-        node.getValue = function(topic) {
-            const cache = globalContext.get(contextKey) || {};
-            return cache[topic];
+        node.getHistory = function(topic, options = {}) {
+            const buffer = instance.history.get(topic);
+            if (!buffer) {
+                return [];
+            }
+            if (node.historyWindow > 0) {
+                buffer.trimBefore(Date.now() - node.historyWindow);
+            }
+            return buffer.toArray(Number(options.since) || 0, parseInt(options.limit) || 0);
         };
 
         /**
-         * Subscribe to updates for a specific topic
-         * @param {string} topic - The exact topic to subscribe to
+         * Subscribe to updates for one or more topics or wildcard patterns
+         * @param {string|string[]} topics - Exact topic, or pattern using '+' (one level) / '#' (remaining levels)
          * @param {Function} callback - Called with (topic, entry) on update
+         * @param {object} [options] - Subscription options
+         * @param {Function} [options.onRemove] - Called with (topic, entry, reason) when a matching
+         *        topic is removed; reason is 'expired' (TTL), 'evicted' (maxEntries) or 'deleted' (deleteValue)
+         * @param {Function} [options.onBatch] - Called once per setValues() batch with the matching
+         *        [{topic, entry}]; without it, callback is called for each matching topic
          * @returns {string} - Subscription ID for unsubscribe
          */
-        node.subscribe = function(topic, callback) {
+        node.subscribe = function(topics, callback, options = {}) {
+            topics = Array.isArray(topics) ? topics : [topics];
+            for (const topic of topics) {
+                if (isWildcard(topic) && !isValidPattern(topic)) {
+                    throw new Error(`Invalid topic pattern: ${topic}`);
+                }
+            }
+
             const subId = `sub_${++instance.subscriptionCounter}`;
+            const sub = {
+                topics: topics,
+                callback: callback,
+                onRemove: options.onRemove,
+                onBatch: options.onBatch
+            };
 
-            if (!instance.subscriptions.has(topic)) {
-                instance.subscriptions.set(topic, new Map());
+            for (const topic of topics) {
+                if (isWildcard(topic)) {
+                    trieAdd(instance.wildcards, topic, subId, sub);
+                    instance.wildcardCount++;
+                } else {
+                    if (!instance.subscriptions.has(topic)) {
+                        instance.subscriptions.set(topic, new Map());
+                    }
+                    instance.subscriptions.get(topic).set(subId, sub);
+                }
             }
-            instance.subscriptions.get(topic).set(subId, callback);
+            instance.subscribers.set(subId, sub);
 
             return subId;
         };
 
+        /**
+         * Test a topic against an exact topic or wildcard pattern
+         * @param {string} pattern - Exact topic or pattern
+         * @param {string} topic - Concrete topic
+         * @returns {boolean}
+         */
+        node.matchTopic = matchTopic;
+
+        /**
+         * Normalize a source quality to 'good', 'uncertain' or 'bad'
+         * @param {any} quality - Raw quality
+         * @returns {string}
+         */
+        node.normalizeQuality = normalizeQuality;
+
         /**
          * Unsubscribe from updates
          * @param {string} subscriptionId - The subscription ID to remove
          */
         node.unsubscribe = function(subscriptionId) {
-            for (const [topic, subs] of instance.subscriptions) {
-                if (subs.delete(subscriptionId)) {
+            const sub = instance.subscribers.get(subscriptionId);
+            if (!sub) {
+                return;
+            }
+            instance.subscribers.delete(subscriptionId);
+
+            for (const topic of sub.topics) {
+                if (isWildcard(topic)) {
+                    trieRemove(instance.wildcards, topic, subscriptionId);
+                    instance.wildcardCount--;
+                    continue;
+                }
+
+                const subs = instance.subscriptions.get(topic);
+                if (subs && subs.delete(subscriptionId) && subs.size === 0) {
                     // Clean up empty topic maps
-                    if (subs.size === 0) {
-                        instance.subscriptions.delete(topic);
-                    }
-                    return;
+                    instance.subscriptions.delete(topic);
                 }
             }
         };
 
         /**
          * Get all topics in cache
-         * @returns {string[]} - Array of all topic keys
+         * @param {string} [pattern] - Optional exact topic or wildcard pattern to filter by
+         * @returns {string[]} - Array of topic keys
          */
-        node.getTopics = function() {
-            const cache = globalContext.get(contextKey) || {};
-            return Object.keys(cache);
+        node.getTopics = function(pattern) {
+            const topics = Array.from(store.keys());
+            return pattern ? topics.filter(topic => matchTopic(pattern, topic)) : topics;
         };
 
         /**
@@ -161,53 +1746,408 @@ module.exports = function(RED) {
          * @returns {number} - Cache size
          */
         node.size = function() {
-            const cache = globalContext.get(contextKey) || {};
-            return Object.keys(cache).length;
+            return store.size;
         };
 
         /**
          * Clear all entries from cache
          */
         node.clear = function() {
-            globalContext.set(contextKey, {});
+            store.clear();
+            instance.history.clear();
+            instance.topicStats.clear();
+            instance.reportedAt.clear();
+            browseChanged.clear();
+            browseRemoved.clear();
+            browseCleared = true;
+            markChanged();
+            updateMirror();
         };
 
-        // Internal: dispatch updates to matching subscriptions (O(1) lookup)
-        const updateHandler = (topic, entry) => {
+        // Internal: collect subscriptions matching a topic (O(1) exact lookup, trie walk for wildcards)
+        function matchSubscriptions(topic) {
+            const matched = [];
             const subs = instance.subscriptions.get(topic);
             if (subs) {
-                for (const [subId, callback] of subs) {
+                for (const sub of subs) matched.push(sub);
+            }
+            if (instance.wildcardCount > 0) {
+                trieMatch(instance.wildcards, topic.split('/'), 0, matched);
+                // A subscription with several patterns can match more than once
+                if (matched.length > 1) {
+                    return Array.from(new Map(matched));
+                }
+            }
+            return matched;
+        }
+
+        // Internal: call a subscriber, counting errors and latency
+        function runCallback(fn, ...args) {
+            const metrics = instance.metrics;
+            const start = performance.now();
+            try {
+                fn(...args);
+            } catch (err) {
+                metrics.callbackErrors++;
+                RED.log.error(`[event-cache] Subscription callback error: ${err.message}`);
+            }
+            const seconds = (performance.now() - start) / 1000;
+            metrics.callbacks++;
+            metrics.callbackSeconds += seconds;
+            for (let i = 0; i < CALLBACK_BUCKETS.length; i++) {
+                if (seconds <= CALLBACK_BUCKETS[i]) metrics.callbackBuckets[i]++;
+            }
+        }
+
+        // Calc dependency graph: event-calc nodes register their inputs and outputs, the graph is
+        // rebuilt once the flows have started
+        const calcs = new Map(); // calc id -> {id, name, inputs, outputs, onGraph}
+        let calcGraph = buildCalcGraph([]);
+        const calcDepth = new Map();
+
+        /**
+         * Register an event-calc node for the dependency graph
+         * @param {object} calc - {id, name, inputs: [pattern], outputs: [topic], onGraph(info)};
+         *        onGraph is called with {depth, cycle: [name, ...] | null, blocked} after each rebuild
+         */
+        node.registerCalc = function(calc) {
+            calcs.set(calc.id, calc);
+        };
+
+        /**
+         * Remove an event-calc node from the dependency graph
+         * @param {string} id - Calc node id
+         */
+        node.unregisterCalc = function(id) {
+            calcs.delete(id);
+        };
+
+        /**
+         * Get the calc dependency graph
+         * @returns {object} - {cycleMode, nodes, edges, cycles} (see buildCalcGraph)
+         */
+        node.getCalcGraph = function() {
+            return { cycleMode: node.cycleMode, ...calcGraph };
+        };
+
+        function rebuildCalcGraph() {
+            calcGraph = buildCalcGraph(Array.from(calcs.values()));
+            calcDepth.clear();
+            const names = new Map(calcGraph.nodes.map(calc => [calc.id, calc.name || calc.id]));
+            for (const cycle of calcGraph.cycles) {
+                const path = cycle.concat(cycle[0]).map(id => names.get(id)).join(' → ');
+                node.warn(`Calculation cycle${node.cycleMode === 'block' ? ' (blocked)' : ''}: ${path}`);
+            }
+            for (const info of calcGraph.nodes) {
+                calcDepth.set(info.id, info.depth);
+                const cycle = info.cycle === null ? null : calcGraph.cycles[info.cycle].map(id => names.get(id));
+                calcs.get(info.id).onGraph({
+                    depth: info.depth,
+                    cycle: cycle,
+                    blocked: cycle !== null && node.cycleMode === 'block'
+                });
+            }
+        }
+        RED.events.on('flows:started', rebuildCalcGraph);
+
+        // Calc evaluations triggered while updates are dispatched are queued and run afterwards
+        // in depth order, so a calc runs once after all the calcs it depends on
+        const calcQueue = new Map(); // calc id -> evaluate function (latest trigger wins)
+        let dispatching = 0;
+        let draining = false;
+
+        /**
+         * Run a calc evaluation in dependency order
+         * @param {string} id - Calc node id
+         * @param {Function} evaluate - Called when it is the calc's turn
+         */
+        node.scheduleCalc = function(id, evaluate) {
+            calcQueue.set(id, evaluate);
+            if (dispatching === 0) {
+                drainCalcs();
+            }
+        };
+
+        function drainCalcs() {
+            if (draining) {
+                return;
+            }
+            draining = true;
+            try {
+                const runs = new Map();
+                while (calcQueue.size > 0) {
+                    let nextId = null;
+                    for (const id of calcQueue.keys()) {
+                        if (nextId === null || (calcDepth.get(id) || 0) < (calcDepth.get(nextId) || 0)) {
+                            nextId = id;
+                        }
+                    }
+                    const evaluate = calcQueue.get(nextId);
+                    calcQueue.delete(nextId);
+                    const count = (runs.get(nextId) || 0) + 1;
+                    runs.set(nextId, count);
+                    if (count > CALC_RUN_LIMIT) {
+                        if (count === CALC_RUN_LIMIT + 1) {
+                            const calc = calcs.get(nextId);
+                            node.warn(`Calculation cycle did not settle: ${calc ? calc.name || nextId : nextId} stopped after ${CALC_RUN_LIMIT} evaluations`);
+                        }
+                        continue;
+                    }
                     try {
-                        callback(topic, entry);
+                        evaluate();
                     } catch (err) {
-                        RED.log.error(`[event-cache] Subscription callback error: ${err.message}`);
+                        RED.log.error(`[event-cache] Calculation error: ${err.message}`);
                     }
                 }
+            } finally {
+                draining = false;
+            }
+        }
+
+        // Internal: dispatch updates to matching subscriptions
+        const updateHandler = (topic, entry) => {
+            dispatching++;
+            try {
+                for (const [subId, sub] of matchSubscriptions(topic)) {
+                    runCallback(sub.callback, topic, entry);
+                }
+            } finally {
+                dispatching--;
+            }
+            if (dispatching === 0) {
+                drainCalcs();
             }
         };
         instance.emitter.on('update', updateHandler);
 
+        // Internal: dispatch a batch, notifying each matching subscription once
+        const batchHandler = (updates) => {
+            dispatching++;
+            try {
+                dispatchBatch(updates);
+            } finally {
+                dispatching--;
+            }
+            if (dispatching === 0) {
+                drainCalcs();
+            }
+        };
+
+        function dispatchBatch(updates) {
+            const perSub = new Map();
+            for (const update of updates) {
+                for (const [subId, sub] of matchSubscriptions(update.topic)) {
+                    if (!perSub.has(subId)) {
+                        perSub.set(subId, { sub: sub, updates: [] });
+                    }
+                    perSub.get(subId).updates.push(update);
+                }
+            }
+            for (const { sub, updates: matched } of perSub.values()) {
+                if (sub.onBatch) {
+                    runCallback(sub.onBatch, matched);
+                } else {
+                    for (const update of matched) {
+                        runCallback(sub.callback, update.topic, update.entry);
+                    }
+                }
+            }
+        }
+        instance.emitter.on('batch', batchHandler);
+
+        // Replication: forward local writes and deletes to peers, apply theirs with last-writer-wins
+        let replicator = null;
+        let replicatingFrom = null; // peer socket whose writes are being applied (not echoed back to it)
+        let replicationState = { state: 'off', text: '' };
+        const replicationFill = { listening: 'green', connected: 'green', connecting: 'yellow', rejected: 'red' };
+        const replicateUpdate = (topic, entry) => replicator.updates([[topic, entry]], replicatingFrom);
+        const replicateBatch = (updates) => replicator.updates(updates.map(u => [u.topic, u.entry]), replicatingFrom);
+        const replicateRemove = (topic, entry, reason) => {
+            if (reason === 'deleted') replicator.deleted([topic], Date.now(), replicatingFrom);
+        };
+        if (node.replication === 'server' || node.replication === 'client') {
+            replicator = createReplicator({
+                mode: node.replication,
+                host: node.replicationHost || '127.0.0.1',
+                port: node.replicationPort,
+                secret: node.credentials && node.credentials.replicationSecret,
+                topics: node.replicationTopics,
+                entries: () => store.entries(),
+                apply: (items, socket) => {
+                    // Last writer wins: only entries newer than the local one are written
+                    const newer = [];
+                    for (const [topic, entry] of items) {
+                        const local = store.get(topic);
+                        if (local && local.ts >= entry.ts) continue;
+                        newer.push([topic, {
+                            value: entry.value,
+                            ts: entry.ts,
+                            quality: normalizeQuality(entry.quality),
+                            metadata: entry.metadata || {}
+                        }]);
+                    }
+                    newer.sort((a, b) => a[1].ts - b[1].ts);
+                    replicatingFrom = socket;
+                    try {
+                        writeEntries(newer, true);
+                    } finally {
+                        replicatingFrom = null;
+                    }
+                },
+                remove: (topics, ts, socket) => {
+                    replicatingFrom = socket;
+                    try {
+                        for (const topic of topics) {
+                            const local = store.get(topic);
+                            if (local && local.ts <= ts) removeEntry(topic, 'deleted');
+                        }
+                    } finally {
+                        replicatingFrom = null;
+                    }
+                },
+                log: (msg) => node.log(msg),
+                warn: (msg) => node.warn(msg),
+                status: (state, text) => {
+                    replicationState = { state: state, text: text };
+                    node.status({
+                        fill: replicationFill[state],
+                        shape: state === 'connected' || state === 'listening' ? 'dot' : 'ring',
+                        text: `replication ${text}`
+                    });
+                }
+            });
+            instance.emitter.on('update', replicateUpdate);
+            instance.emitter.on('batch', replicateBatch);
+            instance.emitter.on('remove', replicateRemove);
+        }
+
+        /**
+         * Get the number of connected replication peers
+         * @returns {number}
+         */
+        node.replicationPeers = function() {
+            return replicator ? replicator.peerCount() : 0;
+        };
+
+        /**
+         * Get the replication state
+         * @returns {{state: string, text: string}} - state: 'off', 'listening', 'connecting',
+         *          'connected' or 'rejected' (the server refused this client's handshake)
+         */
+        node.replicationStatus = function() {
+            return replicationState;
+        };
+
+        // Internal: dispatch expiry/eviction to subscriptions that asked for it
+        const removeHandler = (topic, entry, reason) => {
+            for (const [subId, sub] of matchSubscriptions(topic)) {
+                if (!sub.onRemove) continue;
+                runCallback(sub.onRemove, topic, entry, reason);
+            }
+        };
+        instance.emitter.on('remove', removeHandler);
+
         // Cleanup on close
         node.on('close', function(done) {
+            RED.events.removeListener('flows:started', rebuildCalcGraph);
             if (ttlInterval) {
                 clearInterval(ttlInterval);
             }
+            if (persistTimer) {
+                clearInterval(persistTimer);
+            }
+            if (mirrorTimer) {
+                clearInterval(mirrorTimer);
+            }
+            clearInterval(browseTimer);
+            updateMirror();
+
+            let replicationClosed = Promise.resolve();
+            if (replicator) {
+                instance.emitter.removeListener('update', replicateUpdate);
+                instance.emitter.removeListener('batch', replicateBatch);
+                instance.emitter.removeListener('remove', replicateRemove);
+                replicationClosed = replicator.close();
+            }
 
             instance.users--;
             if (instance.users <= 0) {
                 // Don't clear the context cache - let it persist
                 instance.subscriptions.clear();
+                instance.subscribers.clear();
+                instance.history.clear();
+                instance.topicStats.clear();
+                instance.reportedAt.clear();
+                instance.wildcards = createTrieNode();
+                instance.wildcardCount = 0;
                 instance.emitter.removeAllListeners();
                 sharedInstances.delete(instanceKey);
             }
-            done();
+
+            if (node.persist) {
+                // Wait for an in-flight save, then write the final state
+                Promise.all([replicationClosed, Promise.resolve(saving).then(saveSnapshot)]).then(() => done());
+            } else {
+                replicationClosed.then(() => done());
+            }
+        });
+    }
+
+    RED.nodes.registerType("event-cache", EventCacheNode, {
+        credentials: {
+            replicationSecret: { type: "password" }
+        }
+    });
+
+    /**
+     * Find the deployed event-calc nodes that use a cache
+     * @param {string} cacheId - event-cache node id
+     * @returns {Array<object>} - Deployed event-calc nodes with metrics
+     */
+    function findCalcNodes(cacheId) {
+        const calcs = [];
+        RED.nodes.eachNode(function(n) {
+            if (n.type === 'event-calc' && n.cache === cacheId) {
+                const calcNode = RED.nodes.getNode(n.id);
+                if (calcNode && calcNode.metrics) {
+                    calcs.push(calcNode);
+                }
+            }
         });
+        return calcs;
     }
 
-    RED.nodes.registerType("event-cache", EventCacheNode);
+    /**
+     * Write Prometheus metrics for a cache and the event-calc nodes using it
+     * @param {object} writer - Metrics writer (see createMetricsWriter)
+     * @param {object} cacheNode - Deployed event-cache node
+     * @param {boolean} perTopic - Include per-topic series
+     */
+    function writeCacheMetrics(writer, cacheNode, perTopic) {
+        cacheNode.writeMetrics(writer, perTopic);
+        for (const calc of findCalcNodes(cacheNode.id)) {
+            const labels = { cache: cacheNode.name, cache_id: cacheNode.id, calc: calc.name || calc.id, calc_id: calc.id };
+            const metrics = calc.metrics;
+            writer.add('event_calc_evaluations_total', 'counter', 'Expression evaluations', labels, metrics.evaluations);
+            writer.add('event_calc_nan_total', 'counter', 'Evaluations that resulted in NaN', labels, metrics.nan);
+            writer.add('event_calc_errors_total', 'counter', 'Evaluations that threw', labels, metrics.errors);
+            writer.add('event_calc_bad_quality_total', 'counter', 'Results suppressed or rerouted for bad quality', labels, metrics.badQuality);
+            writer.add('event_calc_eval_seconds_total', 'counter', 'Time spent evaluating expressions', labels, metrics.evalSeconds);
+        }
+    }
+
+    /**
+     * Send a Prometheus text response
+     * @param {object} res - Express response
+     * @param {object} writer - Metrics writer
+     */
+    function sendMetrics(res, writer) {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(writer.toString());
+    }
 
     // HTTP Admin endpoint to clear cache
-    RED.httpAdmin.post("/event-cache/:id/clear", function(req, res) {
+    RED.httpAdmin.post("/event-cache/:id/clear", RED.auth.needsPermission("event-cache.write"), function(req, res) {
         const node = RED.nodes.getNode(req.params.id);
         if (node && node.clear) {
             node.clear();
@@ -222,27 +2162,224 @@ module.exports = function(RED) {
         const node = RED.nodes.getNode(req.params.id);
         if (node) {
             const instance = sharedInstances.get(node.id);
-            let subCount = 0;
-            if (instance) {
-                for (const subs of instance.subscriptions.values()) {
-                    subCount += subs.size;
-                }
-            }
             res.json({
                 size: node.size(),
                 topics: node.getTopics(),
                 maxEntries: node.maxEntries,
                 ttl: node.ttl,
+                history: {
+                    size: node.historySize,
+                    window: node.historyWindow,
+                    topics: instance ? instance.history.size : 0
+                },
                 subscriptions: {
-                    count: subCount,
-                    topics: instance ? instance.subscriptions.size : 0
+                    count: instance ? instance.subscribers.size : 0,
+                    topics: instance ? instance.subscriptions.size : 0,
+                    patterns: instance ? instance.wildcardCount : 0
+                },
+                replication: {
+                    mode: node.replication,
+                    peers: node.replicationPeers(),
+                    ...node.replicationStatus()
+                },
+                metrics: {
+                    ...node.getMetrics(),
+                    calcs: findCalcNodes(node.id).map(calc => ({
+                        id: calc.id,
+                        name: calc.name || '',
+                        evaluations: calc.metrics.evaluations,
+                        nan: calc.metrics.nan,
+                        errors: calc.metrics.errors,
+                        badQuality: calc.metrics.badQuality,
+                        evalAvgMs: calc.metrics.evaluations > 0
+                            ? calc.metrics.evalSeconds * 1000 / calc.metrics.evaluations : 0
+                    }))
+                }
+            });
+        } else {
+            res.sendStatus(404);
+        }
+    });
+
+    // HTTP Admin endpoint with Prometheus metrics for all caches (?topics=false omits per-topic series)
+    RED.httpAdmin.get("/event-cache/metrics", function(req, res) {
+        const writer = createMetricsWriter();
+        RED.nodes.eachNode(function(n) {
+            if (n.type === 'event-cache') {
+                const cacheNode = RED.nodes.getNode(n.id);
+                if (cacheNode && cacheNode.writeMetrics) {
+                    writeCacheMetrics(writer, cacheNode, req.query.topics !== 'false');
                 }
+            }
+        });
+        sendMetrics(res, writer);
+    });
+
+    // HTTP Admin endpoint with Prometheus metrics for one cache
+    RED.httpAdmin.get("/event-cache/:id/metrics", function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || !node.writeMetrics) {
+            res.sendStatus(404);
+            return;
+        }
+        const writer = createMetricsWriter();
+        writeCacheMetrics(writer, node, req.query.topics !== 'false');
+        sendMetrics(res, writer);
+    });
+
+    // HTTP Admin endpoint for the cache browser sidebar: all entries with counts, rates and subscribers
+    RED.httpAdmin.get("/event-cache/:id/browse", RED.auth.needsPermission("event-cache.read"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (node && node.browse) {
+            res.json({
+                size: node.size(),
+                maxEntries: node.maxEntries,
+                topics: node.browse()
             });
         } else {
             res.sendStatus(404);
         }
     });
 
+    // HTTP Admin endpoint to get a single value (topic may contain '/')
+    RED.httpAdmin.get("/event-cache/:id/value/*", RED.auth.needsPermission("event-cache.read"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        const entry = node && node.getValue ? node.getValue(req.params[0]) : undefined;
+        if (entry) {
+            res.json(entry);
+        } else {
+            res.sendStatus(404);
+        }
+    });
+
+    // HTTP Admin endpoint to set a value, body {value, metadata?, quality?}; fires subscribers
+    RED.httpAdmin.put("/event-cache/:id/value/*", RED.auth.needsPermission("event-cache.write"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || !node.setValue) {
+            res.sendStatus(404);
+            return;
+        }
+        const body = req.body || {};
+        if (!('value' in body)) {
+            res.status(400).json({ error: "Body must contain 'value'" });
+            return;
+        }
+        node.setValue(req.params[0], body.value, body.metadata || { source: 'http' }, body.quality);
+        res.json(node.getValue(req.params[0]));
+    });
+
+    // HTTP Admin endpoint to delete a single topic; fires subscribers' onRemove
+    RED.httpAdmin.delete("/event-cache/:id/value/*", RED.auth.needsPermission("event-cache.write"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (node && node.deleteValue && node.deleteValue(req.params[0])) {
+            res.sendStatus(200);
+        } else {
+            res.sendStatus(404);
+        }
+    });
+
+    // HTTP Admin endpoint to get many values, filtered by ?prefix= and/or ?pattern= (wildcards)
+    RED.httpAdmin.get("/event-cache/:id/values", RED.auth.needsPermission("event-cache.read"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || !node.getValues) {
+            res.sendStatus(404);
+            return;
+        }
+        const pattern = req.query.pattern;
+        if (pattern && !isValidPattern(pattern)) {
+            res.status(400).json({ error: `Invalid topic pattern: ${pattern}` });
+            return;
+        }
+        const values = node.getValues(pattern);
+        const prefix = req.query.prefix;
+        if (prefix) {
+            for (const topic of Object.keys(values)) {
+                if (!topic.startsWith(prefix)) delete values[topic];
+            }
+        }
+        res.json(values);
+    });
+
+    // HTTP Admin endpoint to download all entries, ?format=json|csv and optional ?pattern=
+    RED.httpAdmin.get("/event-cache/:id/export", RED.auth.needsPermission("event-cache.read"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || !node.getValues) {
+            res.sendStatus(404);
+            return;
+        }
+        const pattern = req.query.pattern;
+        if (pattern && !isValidPattern(pattern)) {
+            res.status(400).json({ error: `Invalid topic pattern: ${pattern}` });
+            return;
+        }
+        const entries = node.getValues(pattern);
+        const baseName = `event-cache-${node.name.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+            res.send(entriesToCsv(entries));
+        } else {
+            // Same layout as the persist snapshot file, so either can be imported
+            res.set('Content-Disposition', `attachment; filename="${baseName}.json"`);
+            res.json({ version: 1, savedAt: Date.now(), entries: entries });
+        }
+    });
+
+    // HTTP Admin endpoint to load entries, body {format: 'json'|'csv', data, mode: 'merge'|'replace', notify}
+    RED.httpAdmin.post("/event-cache/:id/import", RED.auth.needsPermission("event-cache.write"), function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || !node.importEntries) {
+            res.sendStatus(404);
+            return;
+        }
+        const body = req.body || {};
+        let entries;
+        try {
+            if (body.format === 'csv') {
+                entries = csvToEntries(String(body.data || ''));
+            } else {
+                const data = typeof body.data === 'string' ? JSON.parse(body.data) : body.data;
+                // Accept an export / snapshot file or a bare map of topic -> entry
+                entries = data && data.entries ? data.entries : data;
+            }
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            res.status(400).json({ error: 'No entries found' });
+            return;
+        }
+        const imported = node.importEntries(entries, {
+            mode: body.mode === 'replace' ? 'replace' : 'merge',
+            notify: body.notify === true || body.notify === 'true'
+        });
+        res.json({ imported: imported, size: node.size() });
+    });
+
+    // HTTP Admin endpoint to get the dependency graph of the event-calc nodes on a cache
+    RED.httpAdmin.get("/event-cache/:id/graph", function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (node && node.getCalcGraph) {
+            res.json(node.getCalcGraph());
+        } else {
+            res.sendStatus(404);
+        }
+    });
+
+    // HTTP Admin endpoint to get the history of a topic (topic may contain '/')
+    RED.httpAdmin.get("/event-cache/:id/history/*", function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (node && node.getHistory) {
+            res.json(node.getHistory(req.params[0], {
+                since: req.query.since,
+                limit: req.query.limit
+            }));
+        } else {
+            res.sendStatus(404);
+        }
+    });
+
     // HTTP Admin endpoint to get topics only (for autocomplete)
     RED.httpAdmin.get("/event-cache/:id/topics", function(req, res) {
         const node = RED.nodes.getNode(req.params.id);
@@ -253,6 +2390,31 @@ module.exports = function(RED) {
         }
     });
 
+    // HTTP Admin endpoint for autocomplete with registry details: cached and registered topics,
+    // [{topic, description, unit, min, max, type}]
+    RED.httpAdmin.get("/event-cache/:id/topics/details", function(req, res) {
+        const node = RED.nodes.getNode(req.params.id);
+        if (!node || !node.getTopicInfo) {
+            res.json([]);
+            return;
+        }
+        const topics = new Set(node.getTopics());
+        for (const info of node.registry) {
+            topics.add(info.topic);
+        }
+        res.json(Array.from(topics).sort().map(topic => {
+            const info = node.registry.find(item => item.topic === topic) || node.getTopicInfo(topic) || {};
+            return {
+                topic: topic,
+                description: info.description || '',
+                unit: info.unit || '',
+                min: info.min,
+                max: info.max,
+                type: info.type || ''
+            };
+        }));
+    });
+
     // HTTP Admin endpoint to get topics from all caches
     RED.httpAdmin.get("/event-cache/topics/all", function(req, res) {
         const allTopics = new Set();
@@ -0,0 +1,28 @@
+/**
+ * event-calc-helpers - Config node holding user-defined helper functions
+ *
+ * Features:
+ * - Named JavaScript functions (parameters and body) for plant-specific formulas
+ * - Available in the expressions of every event-calc node, next to the built-in helpers
+ * - Recompiled inside each event-calc sandbox, so they only see the sandbox globals
+ */
+module.exports = function(RED) {
+    function EventCalcHelpersNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        node.name = config.name || '';
+
+        // Functions: [{name, params, body, description}]; event-calc checks them when it compiles
+        node.functions = (config.functions || [])
+            .filter(fn => fn && typeof fn.name === 'string' && fn.name.trim())
+            .map(fn => ({
+                name: fn.name.trim(),
+                params: (fn.params || '').trim(),
+                body: fn.body || '',
+                description: fn.description || ''
+            }));
+    }
+
+    RED.nodes.registerType("event-calc-helpers", EventCalcHelpersNode);
+};
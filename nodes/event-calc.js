@@ -2,14 +2,28 @@
  * event-calc - Calculation node for multi-topic expressions
  *
  * Features:
- * - Maps variables to exact topics
+ * - Maps variables to exact topics or wildcard patterns (latest matching topic wins, or an
+ *   array / {topic: value} object of every matching topic)
  * - Evaluates JavaScript expressions when inputs update
  * - Trigger modes: 'any' (any input updates) or 'all' (all inputs have values)
- * - Safe expression evaluation using Function constructor
+ * - Timing: on every update, at a fixed interval, debounced or throttled; inputs can be context-only
+ * - Timestamp alignment: skew tolerance, max input age, interpolation to the trigger timestamp
+ * - Registered in the cache's calc dependency graph: evaluated in dependency order, cycles warned or blocked
+ * - Expressions compiled once and run in a vm sandbox (helpers and inputs only, with a timeout)
+ * - Custom helpers from settings.js (eventCalcHelpers) and event-calc-helpers config nodes
+ * - Several named expressions per node; later ones can use earlier results
  * - Dynamic expression update via input message
+ * - setValues() batches are evaluated once against the consistent snapshot
+ * - Expired/evicted inputs are treated as missing (optional status output)
+ * - Result quality derived from input qualities (worst-of by default)
  * - Built-in helper functions for common operations
+ * - Time-window aggregations over the recent samples of an input (avgOver, twaOver, rateOver, ...)
+ * - prev.<name> / dt.<name> and stateful helpers (ema, integrate, ...) with state per call site
+ * - Evaluation counters (node.metrics) exported by the event-cache metrics endpoint
  */
 module.exports = function(RED) {
+    const vm = require('vm');
+    const { types } = require('util');
 
     // Helper functions available in expressions
     const helpers = {
@@ -57,6 +71,584 @@ module.exports = function(RED) {
         delta: (current, previous) => current - previous,
         pctChange: (current, previous) => previous !== 0 ? ((current - previous) / previous) * 100 : 0
     };
+
+    // Quality ordering used to combine input qualities
+    const qualityRank = { good: 0, uncertain: 1, bad: 2 };
+
+    /**
+     * Estimate an input's value at a timestamp from its latest two samples
+     * @param {object|undefined} previous - The sample before the latest {value, ts}
+     * @param {object} latest - The latest sample {value, ts}
+     * @param {number} ts - Target timestamp
+     * @param {string} mode - 'linear' (numbers; extrapolated up to one sample interval past the
+     *        latest sample, held after that) or 'hold'
+     * @returns {any}
+     */
+    function interpolateSample(previous, latest, ts, mode) {
+        if (mode === 'linear' && previous && typeof previous.value === 'number' &&
+            typeof latest.value === 'number' && latest.ts > previous.ts &&
+            ts - latest.ts <= latest.ts - previous.ts) {
+            return latest.value + (latest.value - previous.value) * (ts - latest.ts) / (latest.ts - previous.ts);
+        }
+        // Sample-and-hold: the value that was current at ts
+        return previous && ts < latest.ts && previous.ts <= ts ? previous.value : latest.value;
+    }
+
+    // Time-window aggregations: fn(input, duration), evaluated over the input's recent samples
+    const WINDOW_FUNCTIONS = ['avgOver', 'minOver', 'maxOver', 'sumOver', 'countOver', 'rateOver', 'twaOver'];
+    const WINDOW_MAX_SAMPLES = 10000; // per input
+    const WINDOW_CALL = new RegExp(`(?<![\\w$.])(${WINDOW_FUNCTIONS.join('|')})\\(\\s*(?:([A-Za-z_$][\\w$]*)|'([^']*)'|"([^"]*)")\\s*,`, 'dg');
+    const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+    /**
+     * Parse a window duration: milliseconds, or a string such as '500ms', '30s', '5m', '1.5h', '1d'
+     * @param {number|string} duration
+     * @returns {number} - Milliseconds
+     * @throws {Error} - If the duration is not valid
+     */
+    function parseDuration(duration) {
+        if (typeof duration === 'number' && duration > 0) {
+            return duration;
+        }
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)\s*$/.exec(String(duration));
+        if (!match || Number(match[1]) <= 0) {
+            throw new Error(`Invalid duration: ${duration}`);
+        }
+        return Number(match[1]) * DURATION_UNITS[match[2]];
+    }
+
+    /**
+     * Aggregate the samples of one input over a time window. Booleans count as 0/1, other
+     * non-numeric values are skipped (countOver counts every update).
+     * @param {string} fn - One of WINDOW_FUNCTIONS
+     * @param {Array<{ts: number, value: any}>} samples - Ordered by ts
+     * @param {number} start - Window start (ms)
+     * @param {number} end - Window end (ms)
+     * @returns {number} - NaN if the window has no numeric samples (rateOver: fewer than two)
+     */
+    function windowAggregate(fn, samples, start, end) {
+        if (fn === 'countOver') {
+            return samples.filter(sample => sample.ts >= start && sample.ts <= end).length;
+        }
+        const numeric = [];
+        let held = null; // last value before the window, held into it (twaOver)
+        for (const sample of samples) {
+            if (sample.ts > end) break;
+            const value = typeof sample.value === 'boolean' ? Number(sample.value) : sample.value;
+            if (typeof value !== 'number' || !isFinite(value)) continue;
+            if (sample.ts < start) {
+                held = value;
+            } else {
+                numeric.push({ ts: sample.ts, value: value });
+            }
+        }
+        const values = numeric.map(sample => sample.value);
+
+        switch (fn) {
+            case 'sumOver':
+                return values.reduce((a, b) => a + b, 0);
+            case 'avgOver':
+                return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+            case 'minOver':
+                return values.length > 0 ? Math.min(...values) : NaN;
+            case 'maxOver':
+                return values.length > 0 ? Math.max(...values) : NaN;
+            case 'rateOver': {
+                // Change per second between the first and last sample in the window
+                const first = numeric[0];
+                const last = numeric[numeric.length - 1];
+                return numeric.length > 1 && last.ts > first.ts
+                    ? (last.value - first.value) / ((last.ts - first.ts) / 1000)
+                    : NaN;
+            }
+            case 'twaOver': {
+                // Each value holds until the next sample (step interpolation)
+                if (held === null && numeric.length === 0) return NaN;
+                const begin = held !== null ? start : numeric[0].ts;
+                let since = begin;
+                let area = 0;
+                for (const sample of numeric) {
+                    if (held !== null) {
+                        area += held * (sample.ts - since);
+                    }
+                    held = sample.value;
+                    since = sample.ts;
+                }
+                area += held * (end - since);
+                return end > begin ? area / (end - begin) : held;
+            }
+        }
+        return NaN;
+    }
+
+    /**
+     * Stateful helpers, keeping state per call site across evaluations (reset with
+     * msg.reset = true). Each is called as fn(state, ts, ...args), where state is the
+     * call site's state object and ts the evaluation timestamp (ms).
+     */
+    const statefulHelpers = {
+        // Exponential moving average: alpha * x + (1 - alpha) * previous
+        ema: (state, ts, x, alpha) => {
+            if (typeof x === 'number' && isFinite(x)) {
+                state.value = state.value === undefined ? x : alpha * x + (1 - alpha) * state.value;
+            }
+            return state.value === undefined ? NaN : state.value;
+        },
+        // Trapezoidal integral of x over time (x * seconds)
+        integrate: (state, ts, x) => {
+            if (typeof x === 'number' && isFinite(x) && !(ts < state.ts)) {
+                state.total = state.ts === undefined ? 0 : state.total + (x + state.x) / 2 * (ts - state.ts) / 1000;
+                state.x = x;
+                state.ts = ts;
+            }
+            return state.total || 0;
+        },
+        // Change of x per second since the previous evaluation
+        derivative: (state, ts, x) => {
+            if (typeof x === 'number' && isFinite(x) && !(ts <= state.ts)) {
+                if (state.ts !== undefined) {
+                    state.rate = (x - state.x) / ((ts - state.ts) / 1000);
+                }
+                state.x = x;
+                state.ts = ts;
+            }
+            return state.rate || 0;
+        },
+        // Continuous total of a counter that wraps from max to 0 (without max, a decrease is a reset to 0)
+        counterRollover: (state, ts, x, max) => {
+            if (typeof x === 'number' && isFinite(x)) {
+                if (state.last === undefined) {
+                    state.total = x;
+                } else if (x >= state.last) {
+                    state.total += x - state.last;
+                } else {
+                    state.total += max > 0 ? x - state.last + max + 1 : x;
+                }
+                state.last = x;
+            }
+            return state.total === undefined ? NaN : state.total;
+        },
+        // True when cond becomes truthy (false on the first evaluation)
+        risingEdge: (state, ts, cond) => {
+            const rising = state.last === false && !!cond;
+            state.last = !!cond;
+            return rising;
+        }
+    };
+    const STATEFUL_CALL = new RegExp(`(?<![\\w$.])(${Object.keys(statefulHelpers).join('|')})\\(`, 'dg');
+
+    // Previous code characters after which a slash starts a regular expression, not a division
+    const REGEX_PRECEDES = /[(,=:[!&|?{};+\-*%<>~^]/;
+
+    /**
+     * Blank out the text of string, template and regular expression literals and of comments, so
+     * the source can be searched for calls without matching text inside quotes. Quote characters
+     * and the code in template substitutions are kept, and the result has the same length.
+     * @param {string} source - Expression source
+     * @returns {string}
+     */
+    function maskLiterals(source) {
+        const masked = source.split('');
+        const templates = []; // open template substitutions: brace depth inside each
+        let previous = ''; // last code character that is not white space
+        let i = 0;
+        const blank = (from, to) => masked.fill(' ', from, to);
+        const skipQuoted = (quote) => {
+            const start = ++i;
+            while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            blank(start, Math.min(i, source.length));
+        };
+        const skipTemplateText = () => {
+            const start = i;
+            while (i < source.length && source[i] !== '`' && !(source[i] === '$' && source[i + 1] === '{')) {
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            blank(start, Math.min(i, source.length));
+            if (source[i] === '$') {
+                templates.push(0);
+                i += 2;
+            } else {
+                i++;
+            }
+            previous = '`';
+        };
+
+        while (i < source.length) {
+            const c = source[i];
+            if (c === '\'' || c === '"') {
+                skipQuoted(c);
+                i++;
+                previous = c;
+            } else if (c === '`') {
+                i++;
+                skipTemplateText();
+            } else if (c === '/' && source[i + 1] === '/') {
+                const end = source.indexOf('\n', i);
+                blank(i, end < 0 ? source.length : end);
+                i = end < 0 ? source.length : end;
+            } else if (c === '/' && source[i + 1] === '*') {
+                const end = source.indexOf('*/', i + 2);
+                blank(i, end < 0 ? source.length : end + 2);
+                i = end < 0 ? source.length : end + 2;
+            } else if (c === '/' && (previous === '' || REGEX_PRECEDES.test(previous))) {
+                const start = ++i;
+                let inClass = false;
+                while (i < source.length && source[i] !== '\n' && (inClass || source[i] !== '/')) {
+                    if (source[i] === '\\') i++;
+                    else if (source[i] === '[') inClass = true;
+                    else if (source[i] === ']') inClass = false;
+                    i++;
+                }
+                blank(start, Math.min(i, source.length));
+                i++;
+                previous = '/';
+            } else {
+                if (templates.length > 0 && c === '{') {
+                    templates[templates.length - 1]++;
+                } else if (templates.length > 0 && c === '}') {
+                    if (templates[templates.length - 1]-- === 0) {
+                        templates.pop();
+                        i++;
+                        skipTemplateText();
+                        continue;
+                    }
+                }
+                if (!/\s/.test(c)) previous = c;
+                i++;
+            }
+        }
+        return masked.join('');
+    }
+
+    /**
+     * Replace the matches of a pattern in the code of an expression, leaving string, template
+     * and regular expression literals and comments alone
+     * @param {string} source - Expression source
+     * @param {RegExp} pattern - Global pattern with the d flag
+     * @param {Function} replacer - Called with the match and its groups, as in String.replace
+     * @returns {string}
+     */
+    function replaceInCode(source, pattern, replacer) {
+        const masked = maskLiterals(source);
+        const slice = (range) => range ? source.slice(range[0], range[1]) : undefined;
+        let result = '';
+        let last = 0;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(masked)) !== null) {
+            result += source.slice(last, match.index) + replacer(...match.indices.map(slice));
+            last = pattern.lastIndex;
+        }
+        return result + source.slice(last);
+    }
+
+    /**
+     * Compile an expression once. The expression is wrapped in parentheses, so it must be a
+     * single JavaScript expression (a trailing semicolon is ignored). Window calls such as
+     * avgOver(temp, '5m') are rewritten to pass the input name: avgOver("temp", '5m'), and
+     * stateful helper calls get their call site number: ema(a, 0.1) -> ema(0, a, 0.1). Calls in
+     * string, template and regular expression literals and in comments are left alone.
+     * @param {string} expression - Expression source
+     * @param {number} [firstCallSite=0] - Number of the first stateful call site
+     * @returns {{script: vm.Script, windowInputs: Set<string>, callSites: number}} - windowInputs:
+     *          inputs used in window calls, callSites: number of stateful helper calls
+     * @throws {SyntaxError} - If the expression does not compile
+     */
+    function compileExpression(expression, firstCallSite = 0) {
+        const windowInputs = new Set();
+        let callSites = firstCallSite;
+        let source = String(expression).trim().replace(/;+$/, '');
+        source = replaceInCode(source, WINDOW_CALL, (call, fn, identifier, single, double) => {
+            const name = identifier !== undefined ? identifier : single !== undefined ? single : double;
+            windowInputs.add(name);
+            return `${fn}(${JSON.stringify(name)},`;
+        });
+        source = replaceInCode(source, STATEFUL_CALL, (call, fn) => `${fn}(${callSites++},`);
+        return {
+            script: new vm.Script(`"use strict";(${source}\n)`, { filename: 'expression' }),
+            windowInputs: windowInputs,
+            callSites: callSites - firstCallSite
+        };
+    }
+
+    // Names custom helpers cannot take: helpers, window and stateful functions, context variables
+    const RESERVED_HELPER_NAMES = new Set([
+        ...Object.keys(helpers), ...WINDOW_FUNCTIONS, ...Object.keys(statefulHelpers), 'prev', 'dt'
+    ]);
+    const HELPER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+    // Custom helper problems already logged (helpers are collected again on every deploy)
+    const reportedHelperProblems = new Set();
+
+    /**
+     * Source of a custom helper as an expression that evaluates to the function. Functions are
+     * recompiled from their source text, so they cannot use variables from where they were
+     * defined. Method shorthand (name(x) {...}) is wrapped in an object literal.
+     * @param {string} name - Helper name
+     * @param {Function|string} helper - Function or function source
+     * @returns {string} - Function expression source
+     * @throws {Error} - If the source does not evaluate to a function
+     */
+    function helperSource(name, helper) {
+        const source = typeof helper === 'function' ? helper.toString() : String(helper).trim();
+        for (const candidate of [`(${source}\n)`, `({${source}\n})[${JSON.stringify(name)}]`]) {
+            const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+            try {
+                if (typeof vm.runInContext(candidate, context, { timeout: 100 }) === 'function') {
+                    return candidate;
+                }
+            } catch (err) {
+                // Try the next form
+            }
+        }
+        throw new Error('not a self-contained function');
+    }
+
+    /**
+     * Custom helpers from settings.js (eventCalcHelpers: {name: function or source}) and the
+     * deployed event-calc-helpers config nodes. Invalid helpers and names that are already taken
+     * are skipped with a warning in the log.
+     * @returns {Array<object>} - [{name, params, description, source, node}] (node: id of the
+     *          event-calc-helpers node, undefined for settings.js)
+     */
+    function collectCustomHelpers() {
+        const collected = new Map();
+        function add(name, helper, params, description, origin, nodeId) {
+            let problem = null;
+            let source;
+            if (!HELPER_NAME.test(name)) {
+                problem = 'not a valid name';
+            } else if (RESERVED_HELPER_NAMES.has(name)) {
+                problem = 'name of a built-in function';
+            } else if (collected.has(name)) {
+                problem = `already defined in ${collected.get(name).origin}`;
+            } else {
+                try {
+                    source = helperSource(name, helper);
+                } catch (err) {
+                    problem = err.message;
+                }
+            }
+            if (problem) {
+                const message = `event-calc: helper "${name}" from ${origin} ignored: ${problem}`;
+                if (!reportedHelperProblems.has(message)) {
+                    reportedHelperProblems.add(message);
+                    RED.log.warn(message);
+                }
+                return;
+            }
+            if (params === undefined) {
+                // Parameter list of a function from settings.js, for the editor
+                const text = String(helper).trim();
+                const match = /^[^(=]*\(([^)]*)\)/.exec(text) || /^(?:async\s+)?([\w$]+)\s*=>/.exec(text);
+                params = match ? match[1].replace(/\s+/g, ' ').trim() : '';
+            }
+            collected.set(name, { name, params, description, source, origin, node: nodeId });
+        }
+
+        for (const [name, helper] of Object.entries(RED.settings.eventCalcHelpers || {})) {
+            add(name, helper, undefined, '', 'settings.js');
+        }
+        RED.nodes.eachNode((config) => {
+            const library = config.type === 'event-calc-helpers' ? RED.nodes.getNode(config.id) : null;
+            for (const fn of (library && library.functions) || []) {
+                add(fn.name, `function ${fn.name}(${fn.params}) {\n${fn.body}\n}`, fn.params, fn.description,
+                    library.name || 'event-calc-helpers', library.id);
+            }
+        });
+        return Array.from(collected.values()).map(({ origin, ...helper }) => helper);
+    }
+
+    // Custom helpers of the current deploy, shared by all event-calc nodes and previews (collecting
+    // compiles every helper). Collected again after the next deploy starts.
+    let sharedCustomHelpers = null;
+    RED.events.on('flows:starting', () => {
+        sharedCustomHelpers = null;
+    });
+
+    // Functions of the running event-calc nodes that reinstall their custom helpers after a deploy
+    const customHelperRefreshers = new Set();
+    RED.events.on('flows:started', () => {
+        for (const refresh of customHelperRefreshers) {
+            refresh();
+        }
+    });
+
+    /**
+     * Custom helpers of the current deploy
+     * @returns {{list: Array<object>, code: string}} - list: from collectCustomHelpers, code: their
+     *          names and sources, to tell whether a sandbox has them installed
+     */
+    function currentCustomHelpers() {
+        if (!sharedCustomHelpers) {
+            const list = collectCustomHelpers();
+            sharedCustomHelpers = {
+                list: list,
+                code: JSON.stringify(list.map(helper => [helper.name, helper.source]))
+            };
+        }
+        return sharedCustomHelpers;
+    }
+
+    // Sandbox -> its built-in constructors
+    const sandboxIntrinsics = new WeakMap();
+
+    // Sandbox -> names of the custom helpers installed in it
+    const sandboxCustomHelpers = new WeakMap();
+
+    /**
+     * Install the custom helpers in a sandbox, replacing the ones installed before
+     * @param {object} sandbox - From createSandbox
+     * @param {Array<object>} customHelpers - From collectCustomHelpers
+     */
+    function installCustomHelpers(sandbox, customHelpers) {
+        for (const name of sandboxCustomHelpers.get(sandbox) || []) {
+            delete sandbox[name];
+        }
+        for (const helper of customHelpers) {
+            sandbox[helper.name] = vm.runInContext(helper.source, sandbox, { timeout: 100 });
+        }
+        sandboxCustomHelpers.set(sandbox, customHelpers.map(helper => helper.name));
+    }
+
+    /**
+     * Create a sandbox context for evaluating expressions. It contains the JavaScript built-ins
+     * (Math, JSON, ...), the helpers and the custom helpers, recreated inside the context so no
+     * function in it references the Node-RED realm. Code generation from strings (eval,
+     * Function) is disabled.
+     * @param {Array<object>} [customHelpers=[]] - From collectCustomHelpers
+     * @returns {object} - vm context
+     */
+    function createSandbox(customHelpers = []) {
+        const sandbox = vm.createContext(Object.create(null), {
+            codeGeneration: { strings: false, wasm: false },
+            microtaskMode: 'afterEvaluate'
+        });
+        for (const [name, helper] of Object.entries(helpers)) {
+            sandbox[name] = typeof helper === 'function'
+                ? vm.runInContext(`(${helper.toString()})`, sandbox)
+                : helper;
+        }
+        installCustomHelpers(sandbox, customHelpers);
+        // Constructors for copying host objects into the sandbox realm (see copyIntoSandbox),
+        // taken before any expression runs
+        sandboxIntrinsics.set(sandbox, vm.runInContext('({ Object, Array, Date, Map, Set, Uint8Array })', sandbox));
+        return sandbox;
+    }
+
+    /**
+     * Copy a host value into a sandbox, so the expression never gets a reference to a Node-RED
+     * realm object. Structure is kept: Dates, Maps, Sets, NaN/Infinity and repeated or circular
+     * references survive. Buffers and typed arrays become Uint8Array/plain arrays of their bytes,
+     * class instances plain objects with their own enumerable properties, and functions and
+     * symbols are left out (undefined).
+     * @param {object} sandbox - From createSandbox
+     * @param {any} value - Host value
+     * @param {Map} [copies] - Host object -> sandbox copy, for shared and circular references
+     * @returns {any} - Sandbox value
+     */
+    function copyIntoSandbox(sandbox, value, copies = new Map()) {
+        if (typeof value === 'function' || typeof value === 'symbol') {
+            return undefined;
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (copies.has(value)) {
+            return copies.get(value);
+        }
+        const intrinsics = sandboxIntrinsics.get(sandbox);
+        // Properties are defined rather than assigned, so no sandbox setter or method runs here
+        const define = (target, key, item) => Object.defineProperty(target, key, {
+            value: copyIntoSandbox(sandbox, item, copies), writable: true, enumerable: true, configurable: true
+        });
+        let copy;
+        // Brand checks, so values from either realm are recognized
+        if (types.isDate(value)) {
+            copy = new intrinsics.Date(value.getTime());
+            copies.set(value, copy);
+        } else if (types.isUint8Array(value)) {
+            copy = new intrinsics.Uint8Array(value);
+            copies.set(value, copy);
+        } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+            copy = new intrinsics.Array();
+            copies.set(value, copy);
+            for (let i = 0; i < value.length; i++) {
+                define(copy, i, value[i]);
+            }
+        } else if (types.isMap(value)) {
+            copy = new intrinsics.Map();
+            copies.set(value, copy);
+            for (const [key, item] of value) {
+                Map.prototype.set.call(copy, copyIntoSandbox(sandbox, key, copies), copyIntoSandbox(sandbox, item, copies));
+            }
+        } else if (types.isSet(value)) {
+            copy = new intrinsics.Set();
+            copies.set(value, copy);
+            for (const item of value) {
+                Set.prototype.add.call(copy, copyIntoSandbox(sandbox, item, copies));
+            }
+        } else {
+            copy = Object.create(intrinsics.Object.prototype);
+            copies.set(value, copy);
+            for (const key of Object.keys(value)) {
+                define(copy, key, value[key]);
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Expose a host function in a sandbox. The sandbox only gets an in-context wrapper, host
+     * errors are rethrown as sandbox errors, and results must be primitives.
+     * @param {object} sandbox - From createSandbox
+     * @param {string} name - Global name in the sandbox
+     * @param {Function} fn - Host function
+     */
+    function exposeFunction(sandbox, name, fn) {
+        const wrap = vm.runInContext(`(call) => function ${name}(...args) {
+            const result = call(args);
+            if (result.error !== undefined) throw new Error(result.error);
+            return result.value;
+        }`, sandbox);
+        sandbox[name] = wrap((args) => {
+            try {
+                const value = fn(...args);
+                if (value !== null && (typeof value === 'object' || typeof value === 'function')) {
+                    return { error: `${name} returned a non-primitive value` };
+                }
+                return { value: value };
+            } catch (err) {
+                return { error: String(err && err.message || err) };
+            }
+        });
+    }
+
+    /**
+     * Set the variables for an evaluation in a sandbox. Objects are copied into the sandbox (see
+     * copyIntoSandbox) once, and the expressions evaluated after it share the copies.
+     * @param {object} sandbox - From createSandbox
+     * @param {object} variables - Map of variable name -> value (functions are not passed in)
+     */
+    function setVariables(sandbox, variables) {
+        for (const [name, value] of Object.entries(variables)) {
+            sandbox[name] = copyIntoSandbox(sandbox, value);
+        }
+    }
+
+    /**
+     * Evaluate a compiled expression in a sandbox, with the variables from setVariables
+     * @param {object} compiled - From compileExpression
+     * @param {object} sandbox - From createSandbox
+     * @param {number} timeout - Maximum execution time in ms
+     * @returns {any} - The expression result
+     */
+    function evaluateExpression(compiled, sandbox, timeout) {
+        return compiled.script.runInContext(sandbox, { timeout: timeout });
+    }
+
     function EventCalcNode(config) {
         RED.nodes.createNode(this, config);
         const node = this;
@@ -65,8 +657,45 @@ module.exports = function(RED) {
         node.inputMappings = config.inputMappings || [];
         node.expression = config.expression || '';
         node.triggerOn = config.triggerOn || 'any';
+        node.triggerMode = config.triggerMode || 'update'; // 'update' | 'interval' | 'debounce' | 'throttle'
+        node.triggerInterval = parseInt(config.triggerInterval) || 1000; // ms
+        node.alignTolerance = parseInt(config.alignTolerance) || 0; // ms, 0 = off
+        node.maxAge = parseInt(config.maxAge) || 0; // ms, 0 = off
+        node.interpolation = config.interpolation || 'none'; // 'none' | 'linear' | 'hold'
         node.outputTopic = config.outputTopic || 'calc/result';
         node.externalTrigger = config.externalTrigger || false;
+        node.statusOutput = config.statusOutput || false;
+        node.qualityMode = config.qualityMode || 'worst'; // 'worst' | 'best' | 'ignore'
+        node.badQuality = config.badQuality || 'output'; // 'output' | 'suppress' | 'error'
+        node.timeout = parseInt(config.timeout) || 100; // ms per evaluation
+        node.outputMode = config.outputMode || 'separate'; // 'separate' | 'combined'
+        node.combinedTopic = config.combinedTopic || 'calc/results';
+
+        // Expressions, evaluated in order: [{name, outputTopic, expression}]. Flows from before
+        // multiple expressions only have the single expression/outputTopic fields.
+        node.expressions = (config.expressions && config.expressions.length > 0
+            ? config.expressions
+            : [{ name: '', outputTopic: node.outputTopic, expression: node.expression }]
+        ).map(row => ({
+            name: row.name || '',
+            outputTopic: row.outputTopic || node.outputTopic,
+            expression: row.expression || '',
+            compiled: null
+        })).filter(row => row.expression);
+        if (node.expressions.length > 0) {
+            node.expression = node.expressions[0].expression;
+            node.outputTopic = node.expressions[0].outputTopic;
+        }
+        const outputTopics = new Set(node.expressions.map(row => row.outputTopic));
+
+        // Counters exported by the event-cache metrics endpoint
+        node.metrics = {
+            evaluations: 0,
+            nan: 0,
+            errors: 0,
+            badQuality: 0,
+            evalSeconds: 0
+        };
 
         const subscriptionIds = [];
 
@@ -85,13 +714,170 @@ module.exports = function(RED) {
             return;
         }
 
-        // Track subscribed topics to ignore updates from our own output
-        const subscribedTopics = new Set();
-        for (const input of node.inputMappings) {
-            const topicName = input.topic || input.pattern;
-            if (topicName) {
-                subscribedTopics.add(topicName);
+        // Compiled once per expression; evaluated in a per-node sandbox
+        let customHelpers = currentCustomHelpers();
+        const sandbox = createSandbox(customHelpers.list);
+
+        // An event-calc-helpers node can be redeployed without this node: after each deploy,
+        // reinstall the custom helpers if their code changed
+        function refreshCustomHelpers() {
+            const latest = currentCustomHelpers();
+            if (latest.code !== customHelpers.code) {
+                installCustomHelpers(sandbox, latest.list);
+            }
+            customHelpers = latest;
+        }
+
+        // Window buffers: input name -> { samples: [{ts, value}], retention: longest window used (ms) }
+        const windows = new Map();
+        let evaluationTs = 0;
+
+        for (const fn of WINDOW_FUNCTIONS) {
+            exposeFunction(sandbox, fn, (name, duration) => {
+                const window = windows.get(name);
+                if (!window) {
+                    throw new Error(`${fn}: "${name}" is not an input variable`);
+                }
+                const ms = parseDuration(duration);
+                window.retention = Math.max(window.retention, ms);
+                return windowAggregate(fn, window.samples, evaluationTs - ms, evaluationTs);
+            });
+        }
+
+        // Stateful helper state: call site -> state object
+        const helperState = new Map();
+
+        for (const [fn, helper] of Object.entries(statefulHelpers)) {
+            exposeFunction(sandbox, fn, (callSite, ...args) => {
+                let state = helperState.get(callSite);
+                if (!state) {
+                    state = {};
+                    helperState.set(callSite, state);
+                }
+                return helper(state, evaluationTs, ...args);
+            });
+        }
+
+        /**
+         * Compile every expression and create window buffers for the inputs they aggregate.
+         * An expression that does not compile is skipped when evaluating.
+         * @returns {string[]} - Syntax error messages
+         */
+        function compile() {
+            const errors = [];
+            let callSites = 0;
+            for (const row of node.expressions) {
+                const prefix = node.expressions.length > 1 ? `${row.outputTopic}: ` : '';
+                try {
+                    row.compiled = compileExpression(row.expression, callSites);
+                } catch (err) {
+                    row.compiled = null;
+                    errors.push({ kind: 'syntax error', message: prefix + err.message });
+                    continue;
+                }
+                try {
+                    checkWindowInputs(row.compiled.windowInputs);
+                } catch (err) {
+                    row.compiled = null;
+                    errors.push({ kind: 'error', message: prefix + err.message });
+                    continue;
+                }
+                callSites += row.compiled.callSites;
+                createWindows(row.compiled.windowInputs);
+            }
+            // Call sites are numbered per compile
+            helperState.clear();
+            return errors;
+        }
+
+        /**
+         * Check that window functions are only used on single-value inputs: inputs bound as an
+         * array or object are not sampled, so their windows would always be empty
+         * @param {Set<string>} names - Input names used in window calls
+         * @throws {Error} - If one of them is bound as an array or object
+         */
+        function checkWindowInputs(names) {
+            for (const name of names) {
+                const input = node.inputMappings.find(mapping => mapping.name === name);
+                if (input && (input.bind === 'array' || input.bind === 'object')) {
+                    throw new Error(`window functions need a single value, but "${name}" is bound as ${input.bind}`);
+                }
+            }
+        }
+
+        /**
+         * Create window buffers for inputs used in window calls
+         * @param {Set<string>} names - Input names
+         */
+        function createWindows(names) {
+            for (const name of names) {
+                const input = node.inputMappings.find(mapping => mapping.name === name);
+                if (!input || windows.has(name)) continue;
+                const window = { samples: [], retention: 0 };
+                windows.set(name, window);
+                // Start from the cache history of an exact topic, if the cache keeps one
+                const topic = input.topic || input.pattern;
+                if (topic && !/[+#]/.test(topic)) {
+                    for (const sample of node.cacheConfig.getHistory(topic)) {
+                        recordSample(window, sample.ts, sample.value);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Add a sample to a window buffer, dropping samples older than its longest window
+         * (one is kept from before the window, for twaOver) and beyond WINDOW_MAX_SAMPLES
+         * @param {object} window - Window buffer
+         * @param {number} ts - Sample timestamp
+         * @param {any} value - Sample value
+         */
+        function recordSample(window, ts, value) {
+            const samples = window.samples;
+            let index = samples.length;
+            while (index > 0 && samples[index - 1].ts > ts) {
+                index--;
+            }
+            samples.splice(index, 0, { ts: ts, value: value });
+
+            let drop = samples.length - WINDOW_MAX_SAMPLES;
+            if (window.retention > 0) {
+                const cutoff = samples[samples.length - 1].ts - window.retention;
+                let outside = 0;
+                while (outside + 1 < samples.length && samples[outside + 1].ts <= cutoff) {
+                    outside++;
+                }
+                drop = Math.max(drop, outside);
+            }
+            if (drop > 0) {
+                samples.splice(0, drop);
+            }
+        }
+
+        const compileErrors = compile();
+        for (const error of compileErrors) {
+            node.error(`Expression ${error.kind}: ${error.message}`);
+        }
+        if (compileErrors.length > 0) {
+            node.status({ fill: "red", shape: "ring", text: `${compileErrors[0].kind}: ${compileErrors[0].message}` });
+        }
+
+        /**
+         * Time of the last write to an input's topics. A write suppressed by the cache's deadband
+         * only refreshes the timestamp of the cached entry and notifies no one, so it is read from
+         * the cache rather than from the last value received.
+         * @param {string} name - Input name
+         * @param {object} data - Latest value of the input {topic, value, ts}
+         * @returns {number} - Timestamp (ms)
+         */
+        function lastWrite(name, data) {
+            const members = collections.get(name);
+            let ts = data.ts;
+            for (const topic of members ? members.keys() : [data.topic]) {
+                const entry = node.cacheConfig.getValue(topic);
+                if (entry && entry.ts > ts) ts = entry.ts;
             }
+            return ts;
         }
 
         /**
@@ -101,136 +887,520 @@ module.exports = function(RED) {
          * @param {number} triggerTs - Timestamp of the triggering event
          */
         function tryCalculate(triggerTopic, latestValues, triggerTs) {
-            // Ignore updates triggered by our own output
-            if (triggerTopic === node.outputTopic) {
+            // Ignore updates triggered by our own output, and calcs blocked in a dependency cycle
+            if (outputTopics.has(triggerTopic) || blocked || !node.expressions.some(row => row.compiled)) {
                 return;
             }
 
+            // Inputs not written for maxAge (at the trigger timestamp) are treated as missing
+            const available = new Map();
+            for (const [name, data] of latestValues) {
+                if (!(node.maxAge > 0 && triggerTs - lastWrite(name, data) > node.maxAge)) {
+                    available.set(name, data);
+                }
+            }
+
             if (node.triggerOn === 'all') {
                 for (const input of node.inputMappings) {
-                    if (!latestValues.has(input.name)) {
+                    if (!available.has(input.name)) {
                         return;
                     }
                 }
             }
 
-            if (latestValues.size === 0) {
+            if (available.size === 0) {
                 return;
             }
 
             const context = {};
             const inputDetails = {};
             const missingInputs = [];
+            const prev = {};
+            const dt = {};
+            let earliest = Infinity;
+            let latest = -Infinity;
 
             for (const input of node.inputMappings) {
-                const data = latestValues.get(input.name);
+                const data = available.get(input.name);
                 if (data && data.value !== undefined && data.value !== null) {
-                    context[input.name] = data.value;
+                    let value = data.value;
+                    const interpolated = node.interpolation !== 'none' && data.ts !== triggerTs;
+                    if (interpolated) {
+                        value = interpolateSample(previousValues.get(input.name), data, triggerTs, node.interpolation);
+                    }
+                    earliest = Math.min(earliest, data.ts);
+                    latest = Math.max(latest, data.ts);
+                    context[input.name] = value;
                     inputDetails[input.name] = {
                         topic: data.topic,
-                        value: data.value,
-                        ts: data.ts
+                        value: value,
+                        ts: data.ts,
+                        quality: data.quality
                     };
+                    if (interpolated) {
+                        inputDetails[input.name].interpolated = true;
+                    }
                 } else {
                     context[input.name] = undefined;
                     missingInputs.push(input.name);
                 }
+                const previous = previousValues.get(input.name);
+                if (previous) {
+                    prev[input.name] = previous.value;
+                    if (data) {
+                        dt[input.name] = (data.ts - previous.ts) / 1000;
+                    }
+                }
+            }
+            context.prev = prev;
+            context.dt = dt;
+
+            // Spread of the input timestamps used (the sample timestamps, also for interpolated inputs)
+            const skew = latest >= earliest ? latest - earliest : 0;
+            if (node.alignTolerance > 0 && skew > node.alignTolerance) {
+                node.status({ fill: "yellow", shape: "ring", text: `skew ${skew} ms` });
+                return;
             }
 
             // Build topics mapping: variable name -> topic
-            const topics = { _output: node.outputTopic };
+            const topics = {};
             const timestamps = {};
             for (const [name, details] of Object.entries(inputDetails)) {
                 topics[name] = details.topic;
                 timestamps[name] = details.ts;
             }
+            timestamps._skew = skew;
 
-            try {
-                const allParams = { ...helpers, ...context };
-                const paramNames = Object.keys(allParams);
-                const paramValues = Object.values(allParams);
+            // Result quality from the qualities of the available inputs
+            let quality = 'good';
+            const ranks = Object.values(inputDetails).map(details => qualityRank[details.quality]);
+            if (node.qualityMode !== 'ignore' && ranks.length > 0) {
+                const rank = node.qualityMode === 'best' ? Math.min(...ranks) : Math.max(...ranks);
+                quality = Object.keys(qualityRank)[rank];
+            }
 
-                const fn = new Function(...paramNames, `return ${node.expression};`);
-                const result = fn(...paramValues);
+            // Evaluate in order; a named result is a variable for the following expressions
+            for (const row of node.expressions) {
+                if (row.name) {
+                    context[row.name] = undefined;
+                }
+            }
+            const results = [];
+            evaluationTs = triggerTs;
+            setVariables(sandbox, context);
+            for (const row of node.expressions) {
+                if (!row.compiled) {
+                    continue;
+                }
+                try {
+                    node.metrics.evaluations++;
+                    const evalStart = performance.now();
+                    const result = evaluateExpression(row.compiled, sandbox, node.timeout);
+                    node.metrics.evalSeconds += (performance.now() - evalStart) / 1000;
+
+                    // Check for NaN or invalid result
+                    if (typeof result === 'number' && isNaN(result)) {
+                        node.metrics.nan++;
+                        const errorMsg = {
+                            topic: row.outputTopic,
+                            payload: {
+                                error: 'Expression resulted in NaN',
+                                missingInputs: missingInputs,
+                                expression: row.expression
+                            },
+                            inputs: inputDetails,
+                            trigger: triggerTopic,
+                            timestamp: triggerTs
+                        };
+                        node.send([null, errorMsg]);
+                        node.status({ fill: "yellow", shape: "ring", text: "NaN" });
+                        continue;
+                    }
 
-                // Check for NaN or invalid result
-                if (typeof result === 'number' && isNaN(result)) {
+                    results.push({ row: row, result: result });
+                    if (row.name) {
+                        // Already a sandbox value
+                        context[row.name] = result;
+                        sandbox[row.name] = result;
+                    }
+                } catch (err) {
+                    node.metrics.errors++;
                     const errorMsg = {
-                        topic: node.outputTopic,
+                        topic: row.outputTopic,
                         payload: {
-                            error: 'Expression resulted in NaN',
-                            missingInputs: missingInputs,
-                            expression: node.expression
+                            error: err.message,
+                            expression: row.expression,
+                            context: context
                         },
                         inputs: inputDetails,
                         trigger: triggerTopic,
                         timestamp: triggerTs
                     };
                     node.send([null, errorMsg]);
-                    node.status({ fill: "yellow", shape: "ring", text: "NaN" });
-                    return;
+                    node.status({ fill: "red", shape: "ring", text: "eval error" });
+                }
+            }
+
+            if (results.length === 0) {
+                return;
+            }
+
+            // Bad result quality: suppress or route to the error output if configured
+            if (quality === 'bad' && node.badQuality !== 'output') {
+                node.metrics.badQuality++;
+                if (node.badQuality === 'error') {
+                    const badInputs = Object.keys(inputDetails).filter(name => inputDetails[name].quality === 'bad');
+                    node.send([null, results.map(({ row, result }) => ({
+                        topic: row.outputTopic,
+                        payload: {
+                            error: 'Bad input quality',
+                            badInputs: badInputs,
+                            result: result,
+                            expression: row.expression
+                        },
+                        inputs: inputDetails,
+                        quality: quality,
+                        trigger: triggerTopic,
+                        timestamp: triggerTs
+                    }))]);
                 }
+                node.status({ fill: "red", shape: "ring", text: "bad quality" });
+                return;
+            }
 
-                const msg = {
-                    topic: node.outputTopic,
-                    payload: result,
-                    topics: topics,
+            if (node.outputMode === 'combined') {
+                // One message: payload = { name (or output topic): result }
+                const payload = {};
+                const outputs = {};
+                const expressions = {};
+                for (const { row, result } of results) {
+                    const key = row.name || row.outputTopic;
+                    payload[key] = result;
+                    outputs[key] = row.outputTopic;
+                    expressions[key] = row.expression;
+                }
+                node.send([{
+                    topic: node.combinedTopic,
+                    payload: payload,
+                    quality: quality,
+                    topics: { ...topics, _output: node.combinedTopic },
+                    outputTopics: outputs,
                     inputs: inputDetails,
                     timestamps: timestamps,
-                    expression: node.expression,
+                    expressions: expressions,
                     trigger: triggerTopic,
                     timestamp: triggerTs
-                };
-
-                node.send([msg, null]);
+                }, null]);
+            } else {
+                // One message per result
+                node.send([results.map(({ row, result }) => {
+                    const msg = {
+                        topic: row.outputTopic,
+                        payload: result,
+                        quality: quality,
+                        topics: { ...topics, _output: row.outputTopic },
+                        inputs: inputDetails,
+                        timestamps: timestamps,
+                        expression: row.expression,
+                        trigger: triggerTopic,
+                        timestamp: triggerTs
+                    };
+                    if (row.name) {
+                        msg.name = row.name;
+                    }
+                    return msg;
+                }), null]);
+            }
 
-                node.cacheConfig.setValue(node.outputTopic, result, {
+            // Every result is written to the cache, several as one batch
+            const items = results.map(({ row, result }) => ({
+                topic: row.outputTopic,
+                value: result,
+                quality: quality,
+                metadata: {
                     source: 'event-calc',
-                    expression: node.expression,
+                    expression: row.expression,
                     inputs: Object.keys(inputDetails)
-                });
-
-                const resultStr = String(result);
-                const displayResult = resultStr.length > 15 ? resultStr.substring(0, 12) + '...' : resultStr;
-                node.status({ fill: "green", shape: "dot", text: `= ${displayResult}` });
+                }
+            }));
+            if (items.length === 1) {
+                node.cacheConfig.setValue(items[0].topic, items[0].value, items[0].metadata, quality);
+            } else {
+                node.cacheConfig.setValues(items);
+            }
 
-            } catch (err) {
-                const errorMsg = {
-                    topic: node.outputTopic,
-                    payload: {
-                        error: err.message,
-                        expression: node.expression,
-                        context: context
-                    },
-                    inputs: inputDetails,
-                    trigger: triggerTopic,
-                    timestamp: triggerTs
-                };
-                node.send([null, errorMsg]);
-                node.status({ fill: "red", shape: "ring", text: "eval error" });
+            const fill = quality === 'good' ? "green" : quality === 'uncertain' ? "yellow" : "red";
+            let text = `${results.length} results`;
+            if (results.length === 1) {
+                const resultStr = String(results[0].result);
+                text = `= ${resultStr.length > 15 ? resultStr.substring(0, 12) + '...' : resultStr}`;
             }
+            node.status({ fill: fill, shape: "dot", text: quality === 'good' ? text : `${text} (${quality})` });
         }
 
         // Subscribe to inputs
         const latestValues = new Map();
+        const previousValues = new Map(); // input name -> the sample before the latest {value, ts}
+        const mappedInputs = node.inputMappings.filter(input => input.name && (input.topic || input.pattern));
+
+        // Inputs bound to every matching topic ('array' / 'object'): input name -> Map(topic -> sample)
+        const collections = new Map();
+        for (const input of mappedInputs) {
+            if (input.bind === 'array' || input.bind === 'object') {
+                collections.set(input.name, new Map());
+            }
+        }
+
+        /**
+         * Build the value of an array/object input from its matching topics (ordered by topic).
+         * Its timestamp is the newest and its quality the worst of the matches.
+         * @param {object} input - Input mapping
+         * @returns {object|undefined} - {topic, value, ts, quality}, undefined without matches
+         */
+        function collectionValue(input) {
+            const members = collections.get(input.name);
+            if (members.size === 0) {
+                return undefined;
+            }
+            const topics = [...members.keys()].sort();
+            let ts = 0;
+            let rank = 0;
+            for (const sample of members.values()) {
+                ts = Math.max(ts, sample.ts);
+                rank = Math.max(rank, qualityRank[sample.quality]);
+            }
+            const value = input.bind === 'array'
+                ? topics.map(topic => members.get(topic).value)
+                : Object.fromEntries(topics.map(topic => [topic, members.get(topic).value]));
+            return {
+                topic: input.topic || input.pattern,
+                value: value,
+                ts: ts,
+                quality: Object.keys(qualityRank)[rank]
+            };
+        }
 
-        for (const input of node.inputMappings) {
-            const topicName = input.topic || input.pattern;
-            if (!input.name || !topicName) continue;
+        /**
+         * Find the inputs whose topic or pattern matches a concrete topic
+         * @param {string} topic - Updated topic
+         * @returns {object[]} - Matching input mappings
+         */
+        function inputsForTopic(topic) {
+            return mappedInputs.filter(input => node.cacheConfig.matchTopic(input.topic || input.pattern, topic));
+        }
 
-            const subId = node.cacheConfig.subscribe(topicName, (topic, entry) => {
+        function applyUpdate(topic, entry) {
+            for (const input of inputsForTopic(topic)) {
+                const members = collections.get(input.name);
+                if (members) {
+                    // Our own results are not collected
+                    if (outputTopics.has(topic)) continue;
+                    const current = latestValues.get(input.name);
+                    if (current) {
+                        previousValues.set(input.name, { value: current.value, ts: current.ts });
+                    }
+                    members.set(topic, { value: entry.value, ts: entry.ts, quality: entry.quality || 'good' });
+                    latestValues.set(input.name, collectionValue(input));
+                    continue;
+                }
+                const window = windows.get(input.name);
+                if (window) {
+                    recordSample(window, entry.ts, entry.value);
+                }
+                const current = latestValues.get(input.name);
+                if (current) {
+                    previousValues.set(input.name, { value: current.value, ts: current.ts });
+                }
                 latestValues.set(input.name, {
                     topic: topic,
                     value: entry.value,
-                    ts: entry.ts
+                    ts: entry.ts,
+                    quality: entry.quality || 'good'
                 });
-                // Use the triggering event's timestamp
-                tryCalculate(topic, latestValues, entry.ts);
+            }
+        }
+
+        /**
+         * Check whether an update of the topic starts an evaluation (inputs with trigger: false
+         * are only read as context)
+         * @param {string} topic - Updated topic
+         * @returns {boolean}
+         */
+        function isTrigger(topic) {
+            return inputsForTopic(topic).some(input => input.trigger !== false);
+        }
+
+        // Set by the cache's dependency graph when this calc is in a cycle and cycles are blocked
+        let blocked = false;
+
+        // Timing state for the debounce and throttle modes
+        let timer = null;
+        let pending = null; // {topic, ts} of the latest trigger waiting for the timer
+        let lastRun = 0;
+
+        /**
+         * Evaluate for a triggering update, according to the trigger mode
+         * @param {string} topic - Triggering topic
+         * @param {number} ts - Its timestamp
+         */
+        function trigger(topic, ts) {
+            if (node.triggerMode === 'interval') {
+                return;
+            }
+            if (node.triggerMode === 'update') {
+                // Use the triggering event's timestamp; the cache runs dependent calcs in order
+                node.cacheConfig.scheduleCalc(node.id, () => tryCalculate(topic, latestValues, ts));
+                return;
+            }
+            pending = { topic: topic, ts: ts };
+            if (node.triggerMode === 'debounce') {
+                // Once the inputs have been quiet for the interval
+                clearTimeout(timer);
+                timer = setTimeout(runPending, node.triggerInterval);
+                return;
+            }
+            // Throttle: at most once per interval, the last update of an interval is evaluated at its end
+            const wait = lastRun + node.triggerInterval - Date.now();
+            if (wait <= 0 && !timer) {
+                runPending();
+            } else if (!timer) {
+                timer = setTimeout(runPending, wait);
+            }
+        }
+
+        function runPending() {
+            timer = null;
+            if (pending) {
+                const { topic, ts } = pending;
+                pending = null;
+                lastRun = Date.now();
+                tryCalculate(topic, latestValues, ts);
+            }
+        }
+
+        try {
+            // One subscription for all inputs, so a setValues() batch is evaluated once
+            const subId = node.cacheConfig.subscribe(mappedInputs.map(input => input.topic || input.pattern), (topic, entry) => {
+                applyUpdate(topic, entry);
+                if (isTrigger(topic)) {
+                    trigger(topic, entry.ts);
+                }
+            }, {
+                onBatch: (updates) => {
+                    for (const update of updates) {
+                        applyUpdate(update.topic, update.entry);
+                    }
+                    const last = updates.filter(update => isTrigger(update.topic)).pop();
+                    if (last) {
+                        trigger(last.topic, last.entry.ts);
+                    }
+                },
+                onRemove: (topic, entry, reason) => {
+                    for (const input of inputsForTopic(topic)) {
+                        const members = collections.get(input.name);
+                        if (members) {
+                            // Array/object inputs drop the topic; missing once no topic matches
+                            if (!members.delete(topic)) {
+                                continue;
+                            }
+                            const value = collectionValue(input);
+                            if (value) {
+                                latestValues.set(input.name, value);
+                            } else {
+                                latestValues.delete(input.name);
+                            }
+                        } else {
+                            const current = latestValues.get(input.name);
+                            if (!current || current.topic !== topic) {
+                                continue;
+                            }
+                            // Expired or evicted: the input is missing until the topic updates again
+                            latestValues.delete(input.name);
+                        }
+                        node.status({ fill: "yellow", shape: "ring", text: `${input.name} ${reason}` });
+                        if (node.statusOutput) {
+                            node.send([null, null, {
+                                topic: node.outputTopic,
+                                payload: {
+                                    event: reason,
+                                    input: input.name,
+                                    topic: topic,
+                                    value: entry.value,
+                                    ts: entry.ts
+                                }
+                            }]);
+                        }
+                    }
+                }
             });
             subscriptionIds.push(subId);
+        } catch (err) {
+            node.error(err.message);
+            node.status({ fill: "red", shape: "ring", text: "invalid topic" });
+            return;
+        }
+
+        // Seed with values already in the cache (e.g. restored from a snapshot),
+        // so 'all' mode does not wait for every input to update again
+        for (const input of mappedInputs) {
+            const members = collections.get(input.name);
+            if (members) {
+                for (const [topic, entry] of Object.entries(node.cacheConfig.getValues(input.topic || input.pattern))) {
+                    if (!outputTopics.has(topic)) {
+                        members.set(topic, { value: entry.value, ts: entry.ts, quality: entry.quality || 'good' });
+                    }
+                }
+                const value = collectionValue(input);
+                if (value) {
+                    latestValues.set(input.name, value);
+                }
+                continue;
+            }
+            for (const topic of node.cacheConfig.getTopics(input.topic || input.pattern)) {
+                const entry = node.cacheConfig.getValue(topic);
+                const current = latestValues.get(input.name);
+                if (entry && (!current || entry.ts > current.ts)) {
+                    latestValues.set(input.name, {
+                        topic: topic,
+                        value: entry.value,
+                        ts: entry.ts,
+                        quality: entry.quality || 'good'
+                    });
+                }
+            }
+        }
+
+        // Dependency graph: outputs of other calcs that trigger this one evaluate it after them
+        node.cacheConfig.registerCalc({
+            id: node.id,
+            name: node.name || node.expression,
+            inputs: node.triggerMode === 'interval'
+                ? []
+                : mappedInputs.filter(input => input.trigger !== false).map(input => input.topic || input.pattern),
+            outputs: Array.from(outputTopics),
+            onGraph: (info) => {
+                blocked = info.blocked;
+                if (info.cycle) {
+                    const path = info.cycle.concat(info.cycle[0]).join(' → ');
+                    node.status(blocked
+                        ? { fill: "red", shape: "ring", text: `blocked cycle: ${path}` }
+                        : { fill: "yellow", shape: "ring", text: `cycle: ${path}` });
+                }
+            }
+        });
+
+        // Interval mode: evaluate the cached values every interval
+        if (node.triggerMode === 'interval') {
+            timer = setInterval(() => {
+                if (latestValues.size > 0) {
+                    tryCalculate('_interval', latestValues, Date.now());
+                }
+            }, node.triggerInterval);
         }
 
-        node.status({ fill: "green", shape: "dot", text: "ready" });
+        if (compileErrors.length === 0) {
+            node.status({ fill: "green", shape: "dot", text: "ready" });
+        }
 
         // Handle input messages for dynamic updates
         node.on('input', function(msg, send, done) {
@@ -238,12 +1408,37 @@ module.exports = function(RED) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if (err) node.error(err, msg); };
 
-            // Allow expression update via message
-            if (msg.expression && typeof msg.expression === 'string') {
-                node.expression = msg.expression;
+            // Allow update of the (first) expression via message; if it does not compile the old one stays
+            if (msg.expression && typeof msg.expression === 'string' && msg.expression !== node.expression) {
+                let compiled;
+                try {
+                    compiled = compileExpression(msg.expression);
+                } catch (err) {
+                    node.status({ fill: "red", shape: "ring", text: `syntax error: ${err.message}` });
+                    done(new Error(`Expression syntax error: ${err.message}`));
+                    return;
+                }
+                try {
+                    checkWindowInputs(compiled.windowInputs);
+                } catch (err) {
+                    node.status({ fill: "red", shape: "ring", text: `error: ${err.message}` });
+                    done(new Error(`Expression error: ${err.message}`));
+                    return;
+                }
+                node.expression = node.expressions[0].expression = msg.expression;
+                compile();
                 node.status({ fill: "blue", shape: "dot", text: "expr updated" });
             }
 
+            // Reset the state of stateful helpers (ema, integrate, ...). An explicit flag, so that
+            // trigger messages in external trigger mode are never mistaken for a reset.
+            if (msg.reset === true) {
+                helperState.clear();
+                node.status({ fill: "blue", shape: "dot", text: "state reset" });
+                done();
+                return;
+            }
+
             // External trigger: any incoming message triggers calculation
             if (node.externalTrigger) {
                 const triggerSource = msg.topic || '_external';
@@ -265,16 +1460,174 @@ module.exports = function(RED) {
             done();
         });
 
+        customHelperRefreshers.add(refreshCustomHelpers);
+
         node.on('close', function(done) {
+            if (node.triggerMode === 'interval') {
+                clearInterval(timer);
+            } else {
+                clearTimeout(timer);
+            }
             for (const subId of subscriptionIds) {
                 if (node.cacheConfig) {
                     node.cacheConfig.unsubscribe(subId);
                 }
             }
+            node.cacheConfig.unregisterCalc(node.id);
+            customHelperRefreshers.delete(refreshCustomHelpers);
             subscriptionIds.length = 0;
             done();
         });
     }
 
     RED.nodes.registerType("event-calc", EventCalcNode);
+
+    /**
+     * Evaluate an expression once against a cache's current values (editor preview).
+     * Window functions use the cache history of exact topics; stateful helpers start empty.
+     * @param {object} cache - event-cache config node
+     * @param {string} expression - Expression source
+     * @param {Array<object>} inputMappings - [{name, topic, bind}]
+     * @param {Array<object>} before - Earlier expressions [{name, expression}] whose results it may use
+     * @param {number} timeout - Maximum execution time in ms
+     * @returns {object} - {result, error, values, missing, warnings}
+     */
+    function testExpression(cache, expression, inputMappings, before, timeout) {
+        const values = {};
+        const missing = [];
+        const warnings = [];
+        const context = { prev: {}, dt: {} };
+
+        for (const input of inputMappings) {
+            const pattern = input && (input.topic || input.pattern);
+            if (!input || !input.name || !pattern) continue;
+            let matches;
+            try {
+                matches = Object.entries(cache.getValues(pattern)).sort((a, b) => a[0] < b[0] ? -1 : 1);
+            } catch (err) {
+                warnings.push(`${input.name}: ${err.message}`);
+                matches = [];
+            }
+            if (matches.length === 0) {
+                missing.push(input.name);
+                context[input.name] = undefined;
+                continue;
+            }
+            if (input.bind === 'array' || input.bind === 'object') {
+                const value = input.bind === 'array'
+                    ? matches.map(([, entry]) => entry.value)
+                    : Object.fromEntries(matches.map(([topic, entry]) => [topic, entry.value]));
+                context[input.name] = value;
+                values[input.name] = { topic: pattern, value: value, ts: Math.max(...matches.map(([, entry]) => entry.ts)) };
+            } else {
+                const [topic, entry] = matches.reduce((newest, match) => match[1].ts > newest[1].ts ? match : newest);
+                context[input.name] = entry.value;
+                values[input.name] = { topic: topic, value: entry.value, ts: entry.ts, quality: entry.quality };
+            }
+        }
+        if (missing.length > 0) {
+            warnings.push(`No cached value for: ${missing.join(', ')}`);
+        }
+
+        let compiled;
+        let callSites = 0;
+        const earlier = [];
+        for (const row of before) {
+            if (!row || typeof row.expression !== 'string' || !row.expression.trim()) continue;
+            try {
+                const rowCompiled = compileExpression(row.expression, callSites);
+                callSites += rowCompiled.callSites;
+                earlier.push({ name: row.name, compiled: rowCompiled });
+            } catch (err) {
+                warnings.push(`${row.name || row.expression}: ${err.message}`);
+            }
+        }
+        try {
+            compiled = compileExpression(expression, callSites);
+        } catch (err) {
+            return { error: `Syntax error: ${err.message}`, syntaxError: true, values: values, missing: missing, warnings: warnings };
+        }
+
+        const sandbox = createSandbox(currentCustomHelpers().list);
+        const now = Date.now();
+        for (const fn of WINDOW_FUNCTIONS) {
+            exposeFunction(sandbox, fn, (name, duration) => {
+                const input = inputMappings.find(mapping => mapping && mapping.name === name);
+                const topic = input && (input.topic || input.pattern);
+                if (!topic || /[+#]/.test(topic)) {
+                    throw new Error(`${fn}: "${name}" is not an input variable with an exact topic`);
+                }
+                const ms = parseDuration(duration);
+                return windowAggregate(fn, cache.getHistory(topic), now - ms, now);
+            });
+        }
+        const helperState = new Map();
+        for (const [fn, helper] of Object.entries(statefulHelpers)) {
+            exposeFunction(sandbox, fn, (callSite, ...args) => {
+                if (!helperState.has(callSite)) helperState.set(callSite, {});
+                return helper(helperState.get(callSite), now, ...args);
+            });
+        }
+
+        setVariables(sandbox, context);
+        for (const row of earlier) {
+            let value;
+            try {
+                value = evaluateExpression(row.compiled, sandbox, timeout);
+            } catch (err) {
+                warnings.push(`${row.name || 'earlier expression'}: ${err.message}`);
+            }
+            if (row.name) {
+                context[row.name] = value;
+                sandbox[row.name] = value;
+                values[row.name] = { value: value };
+            }
+        }
+
+        try {
+            const result = evaluateExpression(compiled, sandbox, timeout);
+            if (typeof result === 'number' && isNaN(result)) {
+                warnings.push('Expression resulted in NaN');
+            }
+            // NaN/Infinity do not survive JSON
+            return {
+                result: typeof result === 'number' && !isFinite(result) ? String(result) : result,
+                values: values,
+                missing: missing,
+                warnings: warnings
+            };
+        } catch (err) {
+            const undefinedVariable = /^(\S+) is not defined$/.exec(err.message);
+            return {
+                error: err.message,
+                undefinedVariable: undefinedVariable ? undefinedVariable[1] : undefined,
+                values: values,
+                missing: missing,
+                warnings: warnings
+            };
+        }
+    }
+
+    // HTTP Admin endpoint listing the custom helpers for the editor's function picker
+    RED.httpAdmin.get("/event-calc/helpers", RED.auth.needsPermission("event-calc.read"), function(req, res) {
+        res.json(currentCustomHelpers().list.map(({ name, params, description, node }) => ({ name, params, description, node })));
+    });
+
+    // HTTP Admin endpoint to test an expression against a cache's current values
+    // Body: {cache, expression, inputMappings, before: [{name, expression}], timeout}
+    RED.httpAdmin.post("/event-calc/test", RED.auth.needsPermission("event-calc.write"), function(req, res) {
+        const body = req.body || {};
+        const cache = RED.nodes.getNode(body.cache);
+        if (!cache || !cache.getValues) {
+            res.status(404).json({ error: 'Cache not deployed' });
+            return;
+        }
+        if (typeof body.expression !== 'string' || !body.expression.trim()) {
+            res.status(400).json({ error: "Body must contain 'expression'" });
+            return;
+        }
+        const inputMappings = Array.isArray(body.inputMappings) ? body.inputMappings : [];
+        const before = Array.isArray(body.before) ? body.before : [];
+        res.json(testExpression(cache, body.expression, inputMappings, before, Math.min(parseInt(body.timeout) || 100, 1000)));
+    });
 };
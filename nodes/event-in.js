@@ -3,7 +3,9 @@
  *
  * Features:
  * - Receives messages from any upstream Node-RED node
- * - Configurable topic and value extraction from message
+ * - Configurable topic, value and quality extraction from message
+ * - Optional split of object payloads into one topic per property, written as one batch
+ * - Optional validation against the cache's topic registry (flag or reject invalid values)
  * - Pass-through: forwards original message after caching
  */
 module.exports = function(RED) {
@@ -14,6 +16,9 @@ module.exports = function(RED) {
         node.cacheConfig = RED.nodes.getNode(config.cache);
         node.topicField = config.topicField || 'topic';
         node.valueField = config.valueField || 'payload';
+        node.qualityField = config.qualityField || ''; // empty = no quality, entries are 'good'
+        node.splitObject = config.splitObject || false;
+        node.validation = config.validation || 'off'; // 'off' | 'flag' | 'reject'
 
         if (!node.cacheConfig) {
             node.status({ fill: "red", shape: "ring", text: "no cache configured" });
@@ -22,6 +27,26 @@ module.exports = function(RED) {
 
         node.status({ fill: "green", shape: "dot", text: "ready" });
 
+        /**
+         * Apply registry validation to a cache write
+         * @param {object} item - {topic, value, metadata, quality}
+         * @returns {string|null} - Validation error, or null if valid (or validation is off)
+         */
+        function validate(item) {
+            if (node.validation === 'off') {
+                return null;
+            }
+            const error = node.cacheConfig.validateValue(item.topic, item.value);
+            if (error && node.validation === 'flag') {
+                // Keep the value, but mark it: at best uncertain, with the reason in metadata
+                item.metadata = { ...item.metadata, validationError: error };
+                if (node.cacheConfig.normalizeQuality(item.quality) === 'good') {
+                    item.quality = 'uncertain';
+                }
+            }
+            return error;
+        }
+
         node.on('input', function(msg, send, done) {
             // For Node-RED 0.x compatibility
             send = send || function() { node.send.apply(node, arguments); };
@@ -50,17 +75,59 @@ module.exports = function(RED) {
                     value = RED.util.getMessageProperty(msg, node.valueField);
                 }
 
+                // Extract quality (normalized by the cache)
+                let quality;
+                if (node.qualityField) {
+                    const qualityField = node.qualityField.startsWith('msg.') ? node.qualityField.substring(4) : node.qualityField;
+                    quality = RED.util.getMessageProperty(msg, qualityField);
+                }
+
                 // Build metadata from msg properties
                 const metadata = {
                     _msgid: msg._msgid
                 };
 
-                // Push to cache
-                node.cacheConfig.setValue(topic, value, metadata);
-
                 // Truncate topic for status display
                 const displayTopic = topic.length > 20 ? topic.substring(0, 17) + '...' : topic;
-                node.status({ fill: "green", shape: "dot", text: displayTopic });
+
+                if (node.splitObject && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    // One topic per property (topic/key), committed as a single batch
+                    const entries = Object.keys(value).map(key => ({
+                        topic: `${topic}/${key}`,
+                        value: value[key],
+                        metadata: metadata,
+                        quality: quality
+                    }));
+                    const errors = {};
+                    const accepted = entries.filter(entry => {
+                        const error = validate(entry);
+                        if (error) errors[entry.topic] = error;
+                        return !(error && node.validation === 'reject');
+                    });
+                    const count = node.cacheConfig.setValues(accepted);
+                    if (Object.keys(errors).length > 0) {
+                        msg.validationErrors = errors;
+                        const verb = node.validation === 'reject' ? 'rejected' : 'flagged';
+                        node.status({ fill: "yellow", shape: "dot", text: `${displayTopic} (${count}, ${Object.keys(errors).length} ${verb})` });
+                    } else {
+                        node.status({ fill: "green", shape: "dot", text: `${displayTopic} (${count})` });
+                    }
+                } else {
+                    const item = { topic: topic, value: value, metadata: metadata, quality: quality };
+                    const error = validate(item);
+                    if (error) {
+                        msg.validationErrors = { [topic]: error };
+                    }
+                    if (error && node.validation === 'reject') {
+                        node.status({ fill: "yellow", shape: "ring", text: `rejected: ${displayTopic}` });
+                    } else {
+                        // Push to cache
+                        node.cacheConfig.setValue(topic, item.value, item.metadata, item.quality);
+                        node.status(error
+                            ? { fill: "yellow", shape: "dot", text: `flagged: ${displayTopic}` }
+                            : { fill: "green", shape: "dot", text: displayTopic });
+                    }
+                }
 
                 // Pass through the message
                 send(msg);
@@ -1,12 +1,13 @@
 /**
- * event-topic - Subscription node for exact topics
+ * event-topic - Subscription node for exact topics and wildcard patterns
  *
  * Features:
- * - Subscribes to cache for a specific topic
+ * - Subscribes to cache for a specific topic or MQTT-style pattern ('+', '#')
  * - Outputs when the topic updates
  * - Multiple output formats: value only or full entry
  * - Optional output of existing value on start
  * - Dynamic topic change via input message
+ * - Optional status output for expired/evicted topics
  */
 module.exports = function(RED) {
     function EventTopicNode(config) {
@@ -18,6 +19,7 @@ module.exports = function(RED) {
         node.topic = config.topic || config.pattern || '';
         node.outputFormat = config.outputFormat || 'value';
         node.outputOnStart = config.outputOnStart || false;
+        node.statusOutput = config.statusOutput || false;
 
         let subscriptionId = null;
 
@@ -48,6 +50,7 @@ module.exports = function(RED) {
                         payload: {
                             value: entry.value,
                             ts: entry.ts,
+                            quality: entry.quality || 'good',
                             metadata: entry.metadata
                         }
                     };
@@ -61,32 +64,65 @@ module.exports = function(RED) {
 
         /**
          * Subscribe to the current topic
+         * @returns {boolean} - False if the topic pattern is invalid
          */
         function subscribe() {
-            subscriptionId = node.cacheConfig.subscribe(node.topic, (topic, entry) => {
-                const msg = buildOutputMessage(topic, entry);
-                node.send(msg);
-
-                // Truncate topic for status display
-                const displayTopic = topic.length > 20 ? topic.substring(0, 17) + '...' : topic;
-                node.status({ fill: "green", shape: "dot", text: displayTopic });
-            });
+            try {
+                subscriptionId = node.cacheConfig.subscribe(node.topic, (topic, entry) => {
+                    const msg = buildOutputMessage(topic, entry);
+                    node.send(msg);
+
+                    // Truncate topic for status display
+                    const displayTopic = topic.length > 20 ? topic.substring(0, 17) + '...' : topic;
+                    node.status({ fill: "green", shape: "dot", text: displayTopic });
+                }, {
+                    onRemove: (topic, entry, reason) => {
+                        const displayTopic = topic.length > 20 ? topic.substring(0, 17) + '...' : topic;
+                        node.status({ fill: "yellow", shape: "ring", text: `${reason}: ${displayTopic}` });
+                        if (node.statusOutput) {
+                            node.send([null, {
+                                topic: topic,
+                                payload: {
+                                    event: reason,
+                                    topic: topic,
+                                    value: entry.value,
+                                    ts: entry.ts
+                                }
+                            }]);
+                        }
+                    }
+                });
+                return true;
+            } catch (err) {
+                subscriptionId = null;
+                node.error(err.message);
+                node.status({ fill: "red", shape: "ring", text: "invalid topic" });
+                return false;
+            }
+        }
+
+        /**
+         * Output the cached entries for the current topic (all matches for a wildcard pattern)
+         * @param {Function} sendFn - Send function to use
+         */
+        function outputCurrent(sendFn) {
+            for (const topic of node.cacheConfig.getTopics(node.topic)) {
+                const entry = node.cacheConfig.getValue(topic);
+                if (entry) {
+                    sendFn(buildOutputMessage(topic, entry));
+                }
+            }
         }
 
         // Initial subscription
-        subscribe();
-        const displayTopic = node.topic.length > 20 ? node.topic.substring(0, 17) + '...' : node.topic;
-        node.status({ fill: "green", shape: "dot", text: displayTopic });
+        if (subscribe()) {
+            const displayTopic = node.topic.length > 20 ? node.topic.substring(0, 17) + '...' : node.topic;
+            node.status({ fill: "green", shape: "dot", text: displayTopic });
+        }
 
         // Output existing value on start if configured
         if (node.outputOnStart) {
-            setImmediate(() => {
-                const entry = node.cacheConfig.getValue(node.topic);
-                if (entry) {
-                    const msg = buildOutputMessage(node.topic, entry);
-                    node.send(msg);
-                }
-            });
+            setImmediate(() => outputCurrent(msg => node.send(msg)));
         }
 
         // Handle input messages for dynamic topic change
@@ -103,19 +139,15 @@ module.exports = function(RED) {
 
                 // Update topic and resubscribe
                 node.topic = msg.topic;
-                subscribe();
-
-                const dt = node.topic.length > 20 ? node.topic.substring(0, 17) + '...' : node.topic;
-                node.status({ fill: "blue", shape: "dot", text: dt });
+                if (subscribe()) {
+                    const dt = node.topic.length > 20 ? node.topic.substring(0, 17) + '...' : node.topic;
+                    node.status({ fill: "blue", shape: "dot", text: dt });
+                }
             }
 
             // Allow manual trigger to output current value
             if (msg.payload === 'refresh') {
-                const entry = node.cacheConfig.getValue(node.topic);
-                if (entry) {
-                    const outMsg = buildOutputMessage(node.topic, entry);
-                    send(outMsg);
-                }
+                outputCurrent(send);
             }
 
             done();
@@ -0,0 +1,98 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue } = require('./helpers/runtime');
+
+test.describe('Event Cache - Cache Browser Sidebar', () => {
+  test.beforeEach(async ({ page }) => {
+    // Navigate to Node-RED editor
+    await page.goto('/');
+    // Wait for Node-RED to load
+    await page.waitForSelector('#red-ui-palette', { timeout: 30000 });
+  });
+
+  test('should register the cache browser sidebar tab', async ({ page }) => {
+    const hasTab = await page.evaluate(() => RED.sidebar.containsTab('event-cache-browser'));
+    expect(hasTab).toBe(true);
+  });
+
+  test('should show the toolbar, filter and inject form', async ({ page }) => {
+    // Open the tab
+    await page.evaluate(() => RED.sidebar.show('event-cache-browser'));
+
+    const browser = page.locator('.event-cache-browser');
+    await expect(browser).toBeVisible();
+
+    // Cache selector and filter
+    await expect(browser.locator('.event-cache-browser-select')).toBeVisible();
+    await expect(browser.locator('.event-cache-browser-filter')).toBeVisible();
+
+    // Inject form
+    await expect(browser.locator('.event-cache-browser-inject-topic')).toBeVisible();
+    await expect(browser.locator('.event-cache-browser-inject-value')).toBeVisible();
+    await expect(browser.locator('.event-cache-browser-inject-button')).toHaveText('Inject');
+  });
+
+  test('should list event-cache config nodes in the selector', async ({ page }) => {
+    // Add an event-cache config node through the editor API
+    await page.evaluate(() => {
+      RED.nodes.add({
+        id: 'browser-test-cache',
+        type: 'event-cache',
+        name: 'Browser Cache',
+        _def: RED.nodes.getType('event-cache'),
+        users: []
+      });
+    });
+
+    await page.evaluate(() => RED.sidebar.show('event-cache-browser'));
+
+    const option = page.locator('.event-cache-browser-select option[value="browser-test-cache"]');
+    await expect(option).toHaveText('Browser Cache');
+
+    // Not deployed yet
+    await expect(page.locator('.event-cache-browser-summary')).toContainText('Not deployed');
+  });
+
+  test('should ask before clearing the cache', async ({ page }) => {
+    await page.evaluate(() => {
+      RED.nodes.add({
+        id: 'browser-clear-cache',
+        type: 'event-cache',
+        name: 'Clear Cache',
+        _def: RED.nodes.getType('event-cache'),
+        users: []
+      });
+    });
+    await page.evaluate(() => RED.sidebar.show('event-cache-browser'));
+    await page.locator('.event-cache-browser-select').selectOption('browser-clear-cache');
+
+    await page.locator('.event-cache-browser button[title="Clear cache"]').click();
+    const dialog = page.locator('.red-ui-notification').filter({ hasText: 'Remove every entry from' });
+    await expect(dialog).toBeVisible();
+    await expect(dialog).toContainText('Clear Cache');
+
+    // Cancel closes the dialog without clearing
+    await dialog.locator('button').filter({ hasText: 'Cancel' }).click();
+    await expect(dialog).toBeHidden();
+  });
+
+  test('should show the time of the last update in each row', async ({ page, request }) => {
+    await deployFlow(request, [
+      { id: 'browser-time-cache', type: 'event-cache', name: 'Time Cache', mirrorInterval: 0 }
+    ]);
+    try {
+      await setValue(request, 'browser-time-cache', 'line/temp', 21.5);
+
+      await page.reload();
+      await page.waitForSelector('#red-ui-palette', { timeout: 30000 });
+      await page.evaluate(() => RED.sidebar.show('event-cache-browser'));
+      await page.locator('.event-cache-browser-select').selectOption('browser-time-cache');
+
+      const row = page.locator('.event-cache-browser-row[data-topic="line/temp"]');
+      await expect(row.locator('.event-cache-browser-value')).toHaveText('21.5');
+      await expect(row.locator('.event-cache-browser-time')).toHaveText(/\d{1,2}:\d{2}:\d{2}.*\.\d{3}$/);
+    } finally {
+      await removeFlow(request);
+    }
+  });
+});
@@ -0,0 +1,124 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, getEntry, waitForValue } = require('./helpers/runtime');
+
+const CACHE = 'spec-graph-cache';
+
+/**
+ * Evaluation counts of the calcs on the cache, from the cache's stats
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<object>} - Map of calc id -> evaluations
+ */
+async function evaluations(request) {
+  const response = await request.get(`/event-cache/${CACHE}/stats`);
+  expect(response.ok()).toBeTruthy();
+  const counts = {};
+  for (const calc of (await response.json()).metrics.calcs) {
+    counts[calc.id] = calc.evaluations;
+  }
+  return counts;
+}
+
+/**
+ * Dependency graph of the calcs on the cache
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<object>} - {cycleMode, nodes, edges, cycles}
+ */
+async function calcGraph(request) {
+  const response = await request.get(`/event-cache/${CACHE}/graph`);
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+}
+
+/**
+ * A calc writing its single result straight to the cache (no output wires)
+ * @param {string} id
+ * @param {object} inputs - Map of input name -> topic
+ * @param {string} expression
+ * @param {string} outputTopic
+ * @returns {object}
+ */
+function calc(id, inputs, expression, outputTopic) {
+  return {
+    id, type: 'event-calc', name: id, cache: CACHE, expression, outputTopic,
+    inputMappings: Object.entries(inputs).map(([name, topic]) => ({ name, topic })),
+    wires: [[], []],
+  };
+}
+
+/**
+ * A cache with two calcs feeding each other: p = x + 1, q = p + 1 (p also reads q)
+ * @param {string} cycleMode - 'warn' | 'block'
+ * @returns {Array<object>}
+ */
+function cycleFlow(cycleMode) {
+  return [
+    { id: CACHE, type: 'event-cache', name: 'Cycle spec', mirrorInterval: 0, cycleMode },
+    calc('p', { x: 'in/x', q: 'cycle/q' }, 'x + 1', 'cycle/p'),
+    calc('q', { p: 'cycle/p' }, 'p + 1', 'cycle/q'),
+  ];
+}
+
+test.describe('Event Calc - Dependency Graph', () => {
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should evaluate a calc once after all the calcs it depends on', async ({ request }) => {
+    await deployFlow(request, [
+      { id: CACHE, type: 'event-cache', name: 'Diamond spec', mirrorInterval: 0 },
+      // Deployed before its inputs' calcs, so node order cannot hide the scheduling
+      calc('d', { b: 'diamond/b', c: 'diamond/c' }, 'b + c', 'diamond/d'),
+      calc('b', { a: 'diamond/a' }, 'a + 1', 'diamond/b'),
+      calc('c', { a: 'diamond/a' }, 'a * 2', 'diamond/c'),
+    ]);
+
+    const graph = await calcGraph(request);
+    expect(graph.cycles).toEqual([]);
+    expect(Object.fromEntries(graph.nodes.map((n) => [n.id, n.depth]))).toEqual({ b: 0, c: 0, d: 1 });
+    expect(graph.edges.map((e) => `${e.from}->${e.to}`).sort()).toEqual(['b->d', 'c->d']);
+
+    await setValue(request, CACHE, 'diamond/a', 1);
+    expect(await waitForValue(request, CACHE, 'diamond/d')).toBe(4);
+    expect(await evaluations(request)).toEqual({ b: 1, c: 1, d: 1 });
+
+    // d never sees the new b with the old c
+    await setValue(request, CACHE, 'diamond/a', 5);
+    await expect.poll(async () => (await getEntry(request, CACHE, 'diamond/d')).value).toBe(16);
+    expect(await evaluations(request)).toEqual({ b: 2, c: 2, d: 2 });
+  });
+
+  test('should report a cycle and stop it after the run limit in warn mode', async ({ request }) => {
+    await deployFlow(request, cycleFlow('warn'));
+
+    const graph = await calcGraph(request);
+    expect(graph.cycleMode).toBe('warn');
+    expect(graph.cycles).toHaveLength(1);
+    expect([...graph.cycles[0]].sort()).toEqual(['p', 'q']);
+    expect(graph.nodes.every((n) => n.cycle === 0)).toBe(true);
+
+    await setValue(request, CACHE, 'in/x', 1);
+    expect(await waitForValue(request, CACHE, 'cycle/q')).toBe(3);
+    expect((await getEntry(request, CACHE, 'cycle/p')).value).toBe(2);
+    // The cycle keeps triggering itself until each calc has run 100 times for the update
+    await expect.poll(() => evaluations(request)).toEqual({ p: 100, q: 100 });
+  });
+
+  test('should not evaluate calcs in a cycle in block mode', async ({ request }) => {
+    await deployFlow(request, [
+      ...cycleFlow('block'),
+      calc('r', { x: 'in/x' }, 'x * 10', 'free/r'),
+    ]);
+
+    const graph = await calcGraph(request);
+    expect(graph.cycleMode).toBe('block');
+    expect(graph.nodes.find((n) => n.id === 'r').cycle).toBeNull();
+
+    await setValue(request, CACHE, 'in/x', 1);
+    // Calcs outside the cycle still run
+    expect(await waitForValue(request, CACHE, 'free/r')).toBe(10);
+    expect(await getEntry(request, CACHE, 'cycle/p')).toBeUndefined();
+    expect(await getEntry(request, CACHE, 'cycle/q')).toBeUndefined();
+    expect(await evaluations(request)).toEqual({ p: 0, q: 0, r: 1 });
+  });
+});
@@ -0,0 +1,60 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, getEntry } = require('./helpers/runtime');
+
+const CACHE = 'spec-eviction-cache';
+
+/**
+ * Cached topics, read without changing the LRU order
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<string[]>}
+ */
+async function cachedTopics(request) {
+  const response = await request.get(`/event-cache/${CACHE}/values`);
+  expect(response.ok()).toBeTruthy();
+  return Object.keys(await response.json()).sort();
+}
+
+test.describe('Event Cache - Eviction', () => {
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should evict the least recently used topic', async ({ request }) => {
+    await deployFlow(request, [
+      { id: CACHE, type: 'event-cache', name: 'LRU spec', mirrorInterval: 0, maxEntries: 3 },
+    ]);
+
+    await setValue(request, CACHE, 'lru/a', 1);
+    await setValue(request, CACHE, 'lru/b', 2);
+    await setValue(request, CACHE, 'lru/c', 3);
+    // Reading a makes b the least recently used
+    expect((await getEntry(request, CACHE, 'lru/a')).value).toBe(1);
+
+    await setValue(request, CACHE, 'lru/d', 4);
+    expect(await cachedTopics(request)).toEqual(['lru/a', 'lru/c', 'lru/d']);
+
+    // Writing c makes a the least recently used
+    await setValue(request, CACHE, 'lru/c', 30);
+    await setValue(request, CACHE, 'lru/e', 5);
+    expect(await cachedTopics(request)).toEqual(['lru/c', 'lru/d', 'lru/e']);
+  });
+
+  test('should expire topics in write order after the TTL', async ({ request }) => {
+    await deployFlow(request, [
+      { id: CACHE, type: 'event-cache', name: 'TTL spec', mirrorInterval: 0, ttl: 1500 },
+    ]);
+
+    // The sweep runs every TTL: first expires in the second sweep, second (written after the
+    // first sweep) in the third
+    await setValue(request, CACHE, 'ttl/first', 1);
+    await new Promise((resolve) => setTimeout(resolve, 1750));
+    await setValue(request, CACHE, 'ttl/second', 2);
+    // Reads do not extend the TTL
+    await getEntry(request, CACHE, 'ttl/first');
+
+    const poll = { timeout: 5000, intervals: [100] };
+    await expect.poll(() => cachedTopics(request), poll).toEqual(['ttl/second']);
+    await expect.poll(() => cachedTopics(request), poll).toEqual([]);
+  });
+});
@@ -0,0 +1,38 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Event Calc - Expression Preview', () => {
+  test.beforeEach(async ({ page }) => {
+    // Navigate to Node-RED editor
+    await page.goto('/');
+    // Wait for Node-RED to load
+    await page.waitForSelector('#red-ui-palette', { timeout: 30000 });
+  });
+
+  test('should reject a test request for a cache that is not deployed', async ({ page }) => {
+    const response = await page.request.post('/event-calc/test', {
+      data: { cache: 'not-deployed', expression: 'a + 1', inputMappings: [{ name: 'a', topic: 'a' }] }
+    });
+    expect(response.status()).toBe(404);
+    expect(await response.json()).toEqual({ error: 'Cache not deployed' });
+  });
+
+  test('should have a hidden preview below the expression', async ({ page }) => {
+    const paletteSearch = page.locator('#red-ui-palette-search input');
+    await paletteSearch.fill('event calc');
+    await page.waitForTimeout(500);
+
+    const eventCalcNode = page.locator('.red-ui-palette-node[data-palette-type="event-calc"]');
+    const workspace = page.locator('#red-ui-workspace-chart');
+    await eventCalcNode.dragTo(workspace);
+
+    const nodeInWorkspace = page.locator('.red-ui-flow-node-group').last();
+    await nodeInWorkspace.dblclick();
+    await page.waitForSelector('.red-ui-editor', { timeout: 5000 });
+
+    // Without a cache there is nothing to preview
+    await page.locator('#node-input-expression').fill('a + b');
+    await page.waitForTimeout(500);
+    await expect(page.locator('#node-calc-preview')).toBeHidden();
+  });
+});
@@ -0,0 +1,119 @@
+// @ts-check
+/**
+ * Helpers for specs that deploy a flow to the running Node-RED and check its results through
+ * the admin API. Test nodes live on their own tab, which is removed again by removeFlow().
+ */
+const { expect } = require('@playwright/test');
+
+const TAB_ID = 'event-calc-spec-tab';
+const API_V2 = { 'Node-RED-API-Version': 'v2' };
+
+/**
+ * Flows currently deployed, without the test tab
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<Array<object>>}
+ */
+async function deployedFlows(request) {
+  const response = await request.get('/flows', { headers: API_V2 });
+  expect(response.ok(), await response.text()).toBeTruthy();
+  const { flows } = await response.json();
+  return flows.filter((n) => n.id !== TAB_ID && n.z !== TAB_ID);
+}
+
+/**
+ * Deploy nodes on the test tab (full deploy, replacing an earlier test tab) and wait until its
+ * caches are running. Nodes get the tab and a position unless they set them.
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {Array<object>} nodes
+ */
+async function deployFlow(request, nodes) {
+  const flows = await deployedFlows(request);
+  const tab = { id: TAB_ID, type: 'tab', label: 'event-calc spec' };
+  const added = nodes.map((n, i) => ({ z: TAB_ID, x: 150, y: 60 + i * 60, ...n }));
+  const response = await request.post('/flows', {
+    headers: { ...API_V2, 'Node-RED-Deployment-Type': 'full' },
+    data: { flows: [...flows, tab, ...added] },
+  });
+  expect(response.ok(), await response.text()).toBeTruthy();
+  for (const n of added.filter((n) => n.type === 'event-cache')) {
+    await expect.poll(async () => (await request.get(`/event-cache/${n.id}/stats`)).status()).toBe(200);
+  }
+}
+
+/**
+ * Remove the test tab and its nodes. Its caches are cleared first, as a cache keeps its entries
+ * in global context for the next deploy.
+ * @param {import('@playwright/test').APIRequestContext} request
+ */
+async function removeFlow(request) {
+  const response = await request.get('/flows', { headers: API_V2 });
+  expect(response.ok(), await response.text()).toBeTruthy();
+  for (const n of (await response.json()).flows) {
+    if (n.z === TAB_ID && n.type === 'event-cache') {
+      await request.post(`/event-cache/${n.id}/clear`);
+    }
+  }
+  const flows = await deployedFlows(request);
+  const deployed = await request.post('/flows', {
+    headers: { ...API_V2, 'Node-RED-Deployment-Type': 'full' },
+    data: { flows },
+  });
+  expect(deployed.ok(), await deployed.text()).toBeTruthy();
+}
+
+/**
+ * Write a value through the cache's admin API (fires subscribers)
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {string} cacheId
+ * @param {string} topic
+ * @param {any} value
+ * @returns {Promise<object>} - The stored entry
+ */
+async function setValue(request, cacheId, topic, value) {
+  const response = await request.put(`/event-cache/${cacheId}/value/${topic}`, { data: { value } });
+  expect(response.ok(), await response.text()).toBeTruthy();
+  return response.json();
+}
+
+/**
+ * Read an entry through the cache's admin API
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {string} cacheId
+ * @param {string} topic
+ * @returns {Promise<object|undefined>} - The entry, undefined if the topic is not cached
+ */
+async function getEntry(request, cacheId, topic) {
+  const response = await request.get(`/event-cache/${cacheId}/value/${topic}`);
+  return response.ok() ? response.json() : undefined;
+}
+
+/**
+ * Wait until a topic is cached and return its value
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {string} cacheId
+ * @param {string} topic
+ * @returns {Promise<any>}
+ */
+async function waitForValue(request, cacheId, topic) {
+  let entry;
+  await expect.poll(async () => (entry = await getEntry(request, cacheId, topic)), { timeout: 5000 })
+    .toBeDefined();
+  return entry.value;
+}
+
+/**
+ * Nodes for one calc writing its results back to the cache: event-calc -> event-in. Error
+ * messages are written too, under the output topic, with a payload {error, expression, ...}.
+ * @param {string} id - Calc node id (the event-in gets id + '-out')
+ * @param {string} cacheId
+ * @param {object} config - event-calc settings
+ * @returns {Array<object>}
+ */
+function calcNodes(id, cacheId, config) {
+  return [
+    { id, type: 'event-calc', cache: cacheId, wires: [[`${id}-out`], [`${id}-out`]], ...config },
+    { id: `${id}-out`, type: 'event-in', cache: cacheId, x: 400, wires: [[]] },
+  ];
+}
+
+module.exports = { deployFlow, removeFlow, setValue, getEntry, waitForValue, calcNodes };
@@ -0,0 +1,114 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, getEntry } = require('./helpers/runtime');
+
+const CACHE = 'spec-import-cache';
+
+/**
+ * Post an import to the cache
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {object} body - {format, data, mode, notify}
+ * @returns {Promise<object>} - {imported, size}
+ */
+async function importEntries(request, body) {
+  const response = await request.post(`/event-cache/${CACHE}/import`, { data: body });
+  expect(response.ok(), await response.text()).toBeTruthy();
+  return response.json();
+}
+
+/**
+ * Cached values by topic
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<object>}
+ */
+async function cachedValues(request) {
+  const response = await request.get(`/event-cache/${CACHE}/values`);
+  expect(response.ok()).toBeTruthy();
+  const values = {};
+  for (const [topic, entry] of Object.entries(await response.json())) {
+    values[topic] = entry.value;
+  }
+  return values;
+}
+
+test.describe('Event Cache - Import and Export', () => {
+  test.beforeEach(async ({ request }) => {
+    await deployFlow(request, [
+      { id: CACHE, type: 'event-cache', name: 'Import spec', mirrorInterval: 0 },
+    ]);
+  });
+
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should parse quoted CSV fields with commas, quotes and newlines', async ({ request }) => {
+    const csv = [
+      'quality,topic,value,ts',
+      'good,"line/note","stopped, waiting for ""parts""",1700000000000',
+      'bad,line/log,"first line\r\nsecond line",1700000001000',
+      'good,line/count,42,1700000002000',
+      'good,line/code,"""42""",1700000003000',
+      'good,"line/a,b","{""x"":1}",1700000004000',
+    ].join('\r\n');
+
+    expect(await importEntries(request, { format: 'csv', data: csv })).toEqual({ imported: 5, size: 5 });
+    expect(await cachedValues(request)).toEqual({
+      'line/note': 'stopped, waiting for "parts"',
+      'line/log': 'first line\r\nsecond line',
+      'line/count': 42,
+      'line/code': '42',
+      'line/a,b': { x: 1 },
+    });
+
+    const log = await getEntry(request, CACHE, 'line/log');
+    expect(log.quality).toBe('bad');
+    expect(log.ts).toBe(1700000001000);
+    expect(log.metadata.imported).toBe(true);
+  });
+
+  test('should reject CSV without a topic or value column', async ({ request }) => {
+    const response = await request.post(`/event-cache/${CACHE}/import`, {
+      data: { format: 'csv', data: 'name,reading\nline/count,42\n' },
+    });
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error).toContain('topic and a value column');
+  });
+
+  test('should merge or replace the cached topics', async ({ request }) => {
+    await setValue(request, CACHE, 'line/speed', 10);
+    await setValue(request, CACHE, 'line/state', 'running');
+
+    await importEntries(request, {
+      format: 'json',
+      data: { 'line/speed': { value: 20, ts: 1700000000000 }, 'line/count': { value: 1 } },
+      mode: 'merge',
+    });
+    expect(await cachedValues(request)).toEqual({ 'line/speed': 20, 'line/state': 'running', 'line/count': 1 });
+
+    await importEntries(request, {
+      format: 'csv',
+      data: 'topic,value\nline/count,2\n',
+      mode: 'replace',
+    });
+    expect(await cachedValues(request)).toEqual({ 'line/count': 2 });
+  });
+
+  test('should import its own CSV and JSON exports unchanged', async ({ request }) => {
+    await setValue(request, CACHE, 'line/note', 'stopped, "jammed"\nat station 3');
+    await setValue(request, CACHE, 'line/code', '42');
+    await setValue(request, CACHE, 'line/reading', { temp: 21.5, unit: 'C' });
+    const before = await cachedValues(request);
+
+    for (const format of ['csv', 'json']) {
+      const exported = await request.get(`/event-cache/${CACHE}/export?format=${format}`);
+      expect(exported.ok()).toBeTruthy();
+      const data = await exported.text();
+
+      await request.post(`/event-cache/${CACHE}/clear`);
+      expect(await cachedValues(request)).toEqual({});
+      await importEntries(request, { format, data, mode: 'replace' });
+      expect(await cachedValues(request)).toEqual(before);
+    }
+  });
+});
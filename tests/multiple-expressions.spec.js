@@ -0,0 +1,78 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+test.describe('Event Calc - Multiple Expressions', () => {
+  test.beforeEach(async ({ page }) => {
+    // Navigate to Node-RED editor
+    await page.goto('/');
+    // Wait for Node-RED to load
+    await page.waitForSelector('#red-ui-palette', { timeout: 30000 });
+  });
+
+  /**
+   * Drag an event-calc node to the workspace and open its editor
+   * @param {import('@playwright/test').Page} page
+   */
+  async function openCalcEditor(page) {
+    const paletteSearch = page.locator('#red-ui-palette-search input');
+    await paletteSearch.fill('event calc');
+    await page.waitForTimeout(500);
+
+    const eventCalcNode = page.locator('.red-ui-palette-node[data-palette-type="event-calc"]');
+    const workspace = page.locator('#red-ui-workspace-chart');
+    await eventCalcNode.dragTo(workspace);
+
+    const nodeInWorkspace = page.locator('.red-ui-flow-node-group').last();
+    await nodeInWorkspace.dblclick();
+    await page.waitForSelector('.red-ui-editor', { timeout: 5000 });
+    return nodeInWorkspace;
+  }
+
+  test('should show the result name, expression list and output mode', async ({ page }) => {
+    await openCalcEditor(page);
+
+    await expect(page.locator('#node-input-resultName')).toBeVisible();
+    await expect(page.locator('#node-input-expressions-list')).toBeAttached();
+
+    // Separate messages by default; the combined topic only shows for combined output
+    const outputMode = page.locator('#node-input-outputMode');
+    await expect(outputMode).toHaveValue('separate');
+    await expect(page.locator('#node-input-combinedTopic')).toBeHidden();
+
+    await outputMode.selectOption('combined');
+    await expect(page.locator('#node-input-combinedTopic')).toBeVisible();
+  });
+
+  test('should save further expressions after the first one', async ({ page }) => {
+    const calcNode = await openCalcEditor(page);
+
+    await page.locator('#node-input-expression').fill('a + b');
+    await page.locator('#node-input-outputTopic').fill('kpi/total');
+    await page.locator('#node-input-resultName').fill('total');
+
+    // Add a second expression that uses the first result
+    await page.locator('.node-input-expressions-container-row .red-ui-editableList-addButton').click();
+    const row = page.locator('#node-input-expressions-list li').last();
+    await row.locator('.expression-name').fill('share');
+    await row.locator('.expression-topic').fill('kpi/share');
+    await row.locator('.expression-source').fill('a / total * 100');
+
+    const doneButton = page.locator('.red-ui-tray-footer button').filter({ hasText: 'Done' });
+    await doneButton.click();
+    await page.waitForTimeout(500);
+
+    const expressions = await page.evaluate(() => {
+      const node = RED.nodes.filterNodes({ type: 'event-calc' }).pop();
+      return node.expressions;
+    });
+    expect(expressions).toEqual([
+      { name: 'total', outputTopic: 'kpi/total', expression: 'a + b' },
+      { name: 'share', outputTopic: 'kpi/share', expression: 'a / total * 100' }
+    ]);
+
+    // Reopen: the second expression is listed again
+    await calcNode.dblclick();
+    await page.waitForSelector('.red-ui-editor', { timeout: 5000 });
+    await expect(page.locator('#node-input-expressions-list .expression-source')).toHaveValue('a / total * 100');
+  });
+});
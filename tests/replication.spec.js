@@ -0,0 +1,65 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, getEntry, waitForValue } = require('./helpers/runtime');
+
+// Server and clients run in the same Node-RED, on a port of their own
+const PORT = 18990;
+
+/**
+ * Replication state of a cache from its stats endpoint
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {string} cacheId
+ * @returns {Promise<object>} - {mode, peers, state, text}
+ */
+async function replicationStats(request, cacheId) {
+  const response = await request.get(`/event-cache/${cacheId}/stats`);
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).replication;
+}
+
+test.describe('Event Cache - Replication', () => {
+  test.beforeEach(async ({ request }) => {
+    await deployFlow(request, [
+      {
+        id: 'spec-repl-server', type: 'event-cache', name: 'Replication server', mirrorInterval: 0,
+        replication: 'server', replicationPort: PORT, credentials: { replicationSecret: 'shared' },
+      },
+      {
+        id: 'spec-repl-client', type: 'event-cache', name: 'Replication client', mirrorInterval: 0,
+        replication: 'client', replicationHost: '127.0.0.1', replicationPort: PORT,
+        credentials: { replicationSecret: 'shared' },
+      },
+      {
+        id: 'spec-repl-intruder', type: 'event-cache', name: 'Wrong secret', mirrorInterval: 0,
+        replication: 'client', replicationHost: '127.0.0.1', replicationPort: PORT,
+        credentials: { replicationSecret: 'guessed' },
+      },
+    ]);
+  });
+
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should accept a client with the shared secret and replicate in both directions', async ({ request }) => {
+    await expect.poll(async () => (await replicationStats(request, 'spec-repl-client')).state).toBe('connected');
+    expect((await replicationStats(request, 'spec-repl-server')).peers).toBe(1);
+
+    await setValue(request, 'spec-repl-server', 'line/speed', 42);
+    expect(await waitForValue(request, 'spec-repl-client', 'line/speed')).toBe(42);
+
+    await setValue(request, 'spec-repl-client', 'line/state', 'running');
+    expect(await waitForValue(request, 'spec-repl-server', 'line/state')).toBe('running');
+  });
+
+  test('should reject a client with a wrong secret and report it', async ({ request }) => {
+    await expect.poll(async () => (await replicationStats(request, 'spec-repl-intruder')).state).toBe('rejected');
+    expect((await replicationStats(request, 'spec-repl-intruder')).peers).toBe(0);
+
+    await setValue(request, 'spec-repl-server', 'line/speed', 42);
+    await setValue(request, 'spec-repl-intruder', 'line/speed', 99);
+    await expect.poll(() => waitForValue(request, 'spec-repl-client', 'line/speed')).toBe(42);
+    expect((await getEntry(request, 'spec-repl-intruder', 'line/speed')).value).toBe(99);
+    expect((await getEntry(request, 'spec-repl-server', 'line/speed')).value).toBe(42);
+  });
+});
@@ -0,0 +1,87 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, calcNodes } = require('./helpers/runtime');
+
+const CACHE = 'spec-rbe-cache';
+
+/**
+ * Number of evaluations of the calc on the cache, from the cache's stats
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<number>}
+ */
+async function evaluations(request) {
+  const response = await request.get(`/event-cache/${CACHE}/stats`);
+  expect(response.ok()).toBeTruthy();
+  const calc = (await response.json()).metrics.calcs.find((c) => c.id === 'spec-rbe-calc');
+  return calc.evaluations;
+}
+
+/**
+ * A cache with the report-by-exception settings and a calc subscribed to in/x
+ * @param {object} filter - deadband, deadbandType, onlyOnChange, maxSilence
+ * @returns {Array<object>}
+ */
+function filterFlow(filter) {
+  return [
+    { id: CACHE, type: 'event-cache', name: 'Report-by-exception spec', mirrorInterval: 0, ...filter },
+    ...calcNodes('spec-rbe-calc', CACHE, {
+      inputMappings: [{ name: 'x', topic: 'in/x' }],
+      expression: 'x',
+      outputTopic: 'out/x',
+    }),
+  ];
+}
+
+test.describe('Event Cache - Report by Exception', () => {
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should suppress writes within an absolute deadband', async ({ request }) => {
+    await deployFlow(request, filterFlow({ deadband: 1, deadbandType: 'absolute' }));
+
+    expect((await setValue(request, CACHE, 'in/x', 10)).value).toBe(10);
+    // Within the band of the last reported value: the value stays, only its timestamp moves
+    const suppressed = await setValue(request, CACHE, 'in/x', 10.8);
+    expect(suppressed.value).toBe(10);
+    // Still compared with 10, not with the suppressed 10.8
+    expect((await setValue(request, CACHE, 'in/x', 10.6)).value).toBe(10);
+    expect((await setValue(request, CACHE, 'in/x', 11.2)).value).toBe(11.2);
+
+    await expect.poll(() => evaluations(request)).toBe(2);
+  });
+
+  test('should suppress writes within a percent deadband', async ({ request }) => {
+    await deployFlow(request, filterFlow({ deadband: 10, deadbandType: 'percent' }));
+
+    await setValue(request, CACHE, 'in/x', 100);
+    expect((await setValue(request, CACHE, 'in/x', 109)).value).toBe(100);
+    expect((await setValue(request, CACHE, 'in/x', 89)).value).toBe(89);
+
+    await expect.poll(() => evaluations(request)).toBe(2);
+  });
+
+  test('should only report changed values with only on change', async ({ request }) => {
+    await deployFlow(request, filterFlow({ onlyOnChange: true }));
+
+    await setValue(request, CACHE, 'in/x', { state: 'run', speed: 3 });
+    await setValue(request, CACHE, 'in/x', { state: 'run', speed: 3 });
+    await setValue(request, CACHE, 'in/x', { state: 'stop', speed: 0 });
+
+    await expect.poll(() => evaluations(request)).toBe(2);
+  });
+
+  test('should report a suppressed write after max silence', async ({ request }) => {
+    await deployFlow(request, filterFlow({ deadband: 1, maxSilence: 500 }));
+
+    await setValue(request, CACHE, 'in/x', 10);
+    expect((await setValue(request, CACHE, 'in/x', 10.2)).value).toBe(10);
+
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    // Nothing reported for longer than max silence: reported although within the band
+    expect((await setValue(request, CACHE, 'in/x', 10.3)).value).toBe(10.3);
+    expect((await setValue(request, CACHE, 'in/x', 10.5)).value).toBe(10.3);
+
+    await expect.poll(() => evaluations(request)).toBe(2);
+  });
+});
@@ -0,0 +1,66 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, waitForValue, calcNodes } = require('./helpers/runtime');
+
+const CACHE = 'spec-sandbox-cache';
+
+/**
+ * Deploy a calc with the expression on input a (topic in/a), set a and return what the calc wrote
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @param {string} expression
+ * @param {any} value - Value of a
+ * @param {object} [config] - Further event-calc settings
+ * @returns {Promise<any>} - The result, or the error payload {error, expression}
+ */
+async function evaluate(request, expression, value, config = {}) {
+  await deployFlow(request, [
+    { id: CACHE, type: 'event-cache', name: 'Sandbox spec', mirrorInterval: 0 },
+    ...calcNodes('spec-sandbox-calc', CACHE, {
+      inputMappings: [{ name: 'a', topic: 'in/a' }],
+      expression,
+      outputTopic: 'out/sandbox',
+      ...config,
+    }),
+  ]);
+  await setValue(request, CACHE, 'in/a', value);
+  return waitForValue(request, CACHE, 'out/sandbox');
+}
+
+test.describe('Event Calc - Sandbox', () => {
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should not expose the Node-RED globals', async ({ request }) => {
+    const result = await evaluate(request,
+      "[typeof process, typeof require, typeof global, typeof module, typeof setTimeout].join()", 1);
+    expect(result).toBe('undefined,undefined,undefined,undefined,undefined');
+  });
+
+  test('should not compile code from strings through the Function constructor', async ({ request }) => {
+    const result = await evaluate(request, "this.constructor.constructor('return process')()", 1);
+    expect(result.error).toContain('Code generation from strings disallowed');
+  });
+
+  test('should not reach the host realm through an object input', async ({ request }) => {
+    const result = await evaluate(request, "a.nested.constructor.constructor('return process')()", { nested: { x: 1 } });
+    expect(result.error).toContain('Code generation from strings disallowed');
+  });
+
+  test('should not reach the host realm through a helper function', async ({ request }) => {
+    const result = await evaluate(request, "round.constructor('return process')()", 1);
+    expect(result.error).toContain('Code generation from strings disallowed');
+  });
+
+  test('should stop an expression that runs past the timeout', async ({ request }) => {
+    const result = await evaluate(request, '(() => { while (true) {} })()', 1, { timeout: 50 });
+    expect(result.error).toContain('timed out after 50ms');
+    expect(result.expression).toBe('(() => { while (true) {} })()');
+  });
+
+  test('should keep evaluating after a timeout', async ({ request }) => {
+    await evaluate(request, 'a > 0 ? (() => { while (true) {} })() : -a', 1, { timeout: 50 });
+    await setValue(request, CACHE, 'in/a', -4);
+    await expect.poll(() => waitForValue(request, CACHE, 'out/sandbox')).toBe(4);
+  });
+});
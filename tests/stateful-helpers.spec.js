@@ -0,0 +1,42 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, waitForValue, calcNodes } = require('./helpers/runtime');
+
+const CACHE = 'spec-stateful-cache';
+
+test.describe('Event Calc - Stateful Helpers', () => {
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should leave helper names inside string and template literals alone', async ({ request }) => {
+    await deployFlow(request, [
+      { id: CACHE, type: 'event-cache', name: 'Stateful spec', mirrorInterval: 0 },
+      ...calcNodes('spec-stateful-quoted', CACHE, {
+        inputMappings: [{ name: 'a', topic: 'in/a' }],
+        expression: "'ema(' + a + `, integrate(${a})`",
+        outputTopic: 'out/quoted',
+      }),
+    ]);
+
+    await setValue(request, CACHE, 'in/a', 1);
+    expect(await waitForValue(request, CACHE, 'out/quoted')).toBe('ema(1, integrate(1)');
+  });
+
+  test('should keep separate state for each call site next to quoted text', async ({ request }) => {
+    await deployFlow(request, [
+      { id: CACHE, type: 'event-cache', name: 'Stateful spec', mirrorInterval: 0 },
+      ...calcNodes('spec-stateful-sites', CACHE, {
+        inputMappings: [{ name: 'a', topic: 'in/a' }],
+        expression: "ema(a, 0.5) + '|ema(|' + ema(a, 1)",
+        outputTopic: 'out/sites',
+      }),
+    ]);
+
+    await setValue(request, CACHE, 'in/a', 10);
+    expect(await waitForValue(request, CACHE, 'out/sites')).toBe('10|ema(|10');
+
+    await setValue(request, CACHE, 'in/a', 20);
+    await expect.poll(() => waitForValue(request, CACHE, 'out/sites')).toBe('15|ema(|20');
+  });
+});
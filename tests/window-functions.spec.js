@@ -0,0 +1,55 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { deployFlow, removeFlow, setValue, getEntry, waitForValue, calcNodes } = require('./helpers/runtime');
+
+const CACHE = 'spec-window-cache';
+
+/**
+ * A cache with a calc on a single input a and an input x bound to all in/x/+ topics as an array
+ * @param {string} expression
+ * @returns {Array<object>}
+ */
+function windowFlow(expression) {
+  return [
+    { id: CACHE, type: 'event-cache', name: 'Window spec', mirrorInterval: 0 },
+    ...calcNodes('spec-window-calc', CACHE, {
+      inputMappings: [
+        { name: 'a', topic: 'in/a' },
+        { name: 'x', pattern: 'in/x/+', bind: 'array' },
+      ],
+      expression,
+      outputTopic: 'out/window',
+    }),
+  ];
+}
+
+test.describe('Event Calc - Window Functions', () => {
+  test.afterEach(async ({ request }) => {
+    await removeFlow(request);
+  });
+
+  test('should not treat a window call inside a string as a call', async ({ request }) => {
+    await deployFlow(request, windowFlow('"avgOver(x, " + a + ") of " + x.length'));
+
+    await setValue(request, CACHE, 'in/x/1', 1);
+    await setValue(request, CACHE, 'in/a', 2);
+    expect(await waitForValue(request, CACHE, 'out/window')).toBe('avgOver(x, 2) of 1');
+  });
+
+  test('should evaluate a window call next to quoted call text', async ({ request }) => {
+    await deployFlow(request, windowFlow("'avgOver(' + avgOver(a, '1m') + ')' + x.length"));
+
+    await setValue(request, CACHE, 'in/x/1', 1);
+    await setValue(request, CACHE, 'in/a', 4);
+    expect(await waitForValue(request, CACHE, 'out/window')).toBe('avgOver(4)1');
+  });
+
+  test('should reject a window call on an array input', async ({ request }) => {
+    await deployFlow(request, windowFlow("avgOver(x, '1m') + a"));
+
+    await setValue(request, CACHE, 'in/x/1', 1);
+    await setValue(request, CACHE, 'in/a', 4);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(await getEntry(request, CACHE, 'out/window')).toBeUndefined();
+  });
+});